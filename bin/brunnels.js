@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+/**
+ * Headless command-line analysis of GPX routes
+ * Equivalent to the Python brunnels cli.py, using the same modules as the web app
+ */
+
+const fs = require('fs');
+const path = require('path');
+const loadScripts = require('../lib/load-scripts');
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `
+Brunnels - find bridges and tunnels along a GPX route
+
+Usage: brunnels <route.gpx> [options]
+
+Options:
+  --profile <name>          Activity: cycling, walking (running/walking) or driving; sets which
+                            ways are queried and the defaults below (default: cycling)
+  --query-buffer <m>        Search distance around the route in meters (default: 10)
+  --route-buffer <m>        Route width for containment analysis in meters
+                            (default: 3 cycling, 5 walking, 6 driving)
+  --bearing-tolerance <deg> Alignment tolerance in degrees, 0 to disable
+                            (default: 20 cycling, 30 walking, 15 driving)
+  --timeout <seconds>       Overpass query timeout in seconds (default: 30)
+  --exclude-subtype <name>  Exclude a structure subtype: boardwalk, viaduct, movable, culvert,
+                            building_passage or covered; repeat to exclude several
+  --query-mode <mode>       bbox: query the route's bounding box; corridor: query a simplified
+                            polygon around the route, for long diagonal routes (default: bbox)
+  --osm-file <path>         Read bridges and tunnels from a local .osm, GeoJSON or .osm.pbf
+                            extract instead of querying the Overpass API
+  --endpoint <url>          Overpass endpoint to use; repeat to list fallbacks in order
+                            (default: local proxy if running, then public instances)
+  --max-attempts <n>        Attempts per endpoint for rate-limited or failed requests (default: 3)
+  --concurrency <n>         Chunk queries run at once for routes over 500 km (default: 3)
+  --json                    Print results as JSON
+  --verbose                 Print analysis progress to stderr
+  --help                    Show this help
+
+Exit codes:
+  0  Analysis completed
+  1  Analysis failed (unreadable GPX, Overpass error, ...)
+  2  Invalid command line
+
+Examples:
+  brunnels route.gpx
+  brunnels route.gpx --route-buffer 5 --bearing-tolerance 30
+  brunnels trail-run.gpx --profile walking
+  brunnels route.gpx --json > brunnels.json
+  brunnels long-route.gpx --query-mode corridor
+  brunnels route.gpx --osm-file region-latest.osm.pbf
+  brunnels route.gpx --endpoint http://localhost:8080/api/interpreter
+`;
+
+/**
+ * Parse command line arguments
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} Parsed {file, osmFile, options, json, verbose, help}
+ */
+function parseArgs(args) {
+    const parsed = {
+        file: null,
+        osmFile: null,
+        json: false,
+        verbose: false,
+        help: false,
+        options: {
+            profile: 'cycling',
+            queryBuffer: 10,
+            timeout: 30,
+            queryMode: 'bbox'
+        }
+    };
+    
+    const numberArg = (name, value) => {
+        const number = parseFloat(value);
+        if (value === undefined || Number.isNaN(number) || number < 0) {
+            throw new UsageError(`${name} requires a non-negative number`);
+        }
+        return number;
+    };
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '--profile':
+                if (!['cycling', 'walking', 'driving'].includes(args[i + 1])) {
+                    throw new UsageError(`${arg} must be cycling, walking or driving`);
+                }
+                parsed.options.profile = args[++i];
+                break;
+            case '--query-buffer':
+                parsed.options.queryBuffer = numberArg(arg, args[++i]);
+                break;
+            case '--route-buffer':
+                parsed.options.routeBuffer = numberArg(arg, args[++i]);
+                break;
+            case '--bearing-tolerance':
+                parsed.options.bearingTolerance = numberArg(arg, args[++i]);
+                break;
+            case '--timeout':
+                parsed.options.timeout = numberArg(arg, args[++i]);
+                break;
+            case '--exclude-subtype':
+                if (args[i + 1] === undefined) {
+                    throw new UsageError(`${arg} requires a subtype name`);
+                }
+                parsed.options.excludedSubtypes = [...(parsed.options.excludedSubtypes || []), args[++i]];
+                break;
+            case '--query-mode':
+                if (!['bbox', 'corridor'].includes(args[i + 1])) {
+                    throw new UsageError(`${arg} must be bbox or corridor`);
+                }
+                parsed.options.queryMode = args[++i];
+                break;
+            case '--osm-file':
+                if (args[i + 1] === undefined) {
+                    throw new UsageError(`${arg} requires a path`);
+                }
+                parsed.osmFile = args[++i];
+                break;
+            case '--endpoint':
+                if (args[i + 1] === undefined) {
+                    throw new UsageError(`${arg} requires a URL`);
+                }
+                parsed.options.endpoints = [...(parsed.options.endpoints || []), args[++i]];
+                break;
+            case '--max-attempts':
+                parsed.options.maxAttempts = Math.max(1, Math.floor(numberArg(arg, args[++i])));
+                break;
+            case '--concurrency':
+                parsed.options.concurrency = Math.max(1, Math.floor(numberArg(arg, args[++i])));
+                break;
+            case '--json':
+                parsed.json = true;
+                break;
+            case '--verbose':
+                parsed.verbose = true;
+                break;
+            case '--help':
+            case '-h':
+                parsed.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new UsageError(`Unknown option: ${arg}`);
+                }
+                if (parsed.file) {
+                    throw new UsageError(`Unexpected argument: ${arg}`);
+                }
+                parsed.file = arg;
+        }
+    }
+    
+    if (!parsed.help && !parsed.file) {
+        throw new UsageError('Missing GPX file');
+    }
+    
+    return parsed;
+}
+
+class UsageError extends Error {}
+
+/**
+ * Convert a brunnel to a plain object for JSON output
+ * @param {Brunnel} brunnel - Representative brunnel
+ * @returns {Object} JSON-friendly description
+ */
+function brunnelToJSON(brunnel) {
+    const span = brunnel.getCompoundRouteSpan();
+    return {
+        id: brunnel.getCompoundId(),
+        type: brunnel.type,
+        subtype: brunnel.subtype,
+        name: brunnel.getDisplayName(),
+        routeSpan: span ? { startKm: span.startDistance, endKm: span.endDistance } : null,
+        traversals: brunnel.getCompoundTraversals().map(traversal => ({
+            startKm: traversal.startDistance,
+            endKm: traversal.endDistance,
+            direction: traversal.direction,
+            heading: traversal.heading
+        })),
+        exclusionReason: brunnel.exclusionReason,
+        segments: (brunnel.compoundGroup || [brunnel]).map(b => ({ id: b.id, tags: b.tags }))
+    };
+}
+
+/**
+ * Format results as text
+ * @param {Object} route - Route object
+ * @param {Array} included - Included representative brunnels
+ * @param {Array} excluded - Excluded representative brunnels
+ * @param {Object} modules - Classes from loadScripts()
+ * @param {Array} failedChunks - Route chunks whose brunnels could not be loaded
+ * @param {string|null} staleDate - When the data was fetched, if the proxy served expired data
+ * @returns {string} Report
+ */
+function formatText(route, included, excluded, modules, failedChunks = [], staleDate = null) {
+    const { Brunnel, BrunnelAnalysis } = modules;
+    const lines = [];
+    const outliers = excluded.filter(b => !b.routeSpan);
+    const nearby = excluded.filter(b => b.routeSpan);
+    
+    lines.push(`Route: ${route.metadata.name} (${(route.metadata.totalDistance / 1000).toFixed(2)} km, ${route.metadata.pointCount} points)`);
+    lines.push('');
+    // One line per traversal, in route order
+    const describe = ({ brunnel, traversal, index, count }) => {
+        const pass = count > 1 ? ` (pass ${index + 1} of ${count}, ${Brunnel.getTraversalDirectionString(traversal)})` : '';
+        const subtype = brunnel.subtype ? ` [${brunnel.getTypeLabel()}]` : '';
+        return `  ${brunnel.type.padEnd(6)} ${brunnel.getRouteSpanString(traversal).padEnd(28)} ${brunnel.getDisplayName()}${subtype}${pass}`;
+    };
+    
+    lines.push(`Included brunnels (${included.length}):`);
+    for (const entry of BrunnelAnalysis.getTraversalList(included)) {
+        lines.push(describe(entry));
+    }
+    lines.push('');
+    lines.push(`Excluded brunnels (${nearby.length}):`);
+    for (const entry of BrunnelAnalysis.getTraversalList(nearby)) {
+        lines.push(`${describe(entry)} [${entry.brunnel.exclusionReason}]`);
+    }
+    if (outliers.length > 0) {
+        lines.push('');
+        lines.push(`${outliers.length} brunnels outside the route buffer not shown (use --json to list them)`);
+    }
+    if (failedChunks.length > 0) {
+        lines.push('');
+        lines.push(`Warning: ${failedChunks.length} of ${failedChunks[0].count} route chunks failed to load; results are incomplete:`);
+        for (const chunk of failedChunks) {
+            lines.push(`  chunk ${chunk.index + 1} (points ${chunk.startIdx}-${chunk.endIdx}): ${chunk.error}`);
+        }
+    }
+    if (staleDate) {
+        lines.push('');
+        lines.push(`Warning: using cached OpenStreetMap data from ${staleDate}`);
+    }
+    
+    return lines.join('\n');
+}
+
+/**
+ * Run the CLI
+ * @param {Array} args - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+    let parsed;
+    try {
+        parsed = parseArgs(args);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`Error: ${error.message}`);
+            console.error('Run with --help for usage');
+            return EXIT_USAGE;
+        }
+        throw error;
+    }
+    
+    if (parsed.help) {
+        console.log(USAGE);
+        return EXIT_OK;
+    }
+    
+    // Keep stdout clean for results: module logging goes to stderr, and only with --verbose
+    const log = parsed.verbose ? (...messages) => console.error(...messages) : () => {};
+    const modules = loadScripts({
+        console: { log, info: log, warn: log, error: (...messages) => console.error(...messages) }
+    });
+    
+    // Subtype names come from the loaded modules, so they are checked here rather than in parseArgs()
+    const unknownSubtypes = (parsed.options.excludedSubtypes || []).filter(name => !(name in modules.Brunnel.SUBTYPES));
+    if (unknownSubtypes.length > 0) {
+        console.error(`Error: unknown subtype ${unknownSubtypes.join(', ')} (expected ${Object.keys(modules.Brunnel.SUBTYPES).join(', ')})`);
+        console.error('Run with --help for usage');
+        return EXIT_USAGE;
+    }
+    
+    // Route buffer and bearing tolerance not given on the command line come from the profile
+    parsed.options = { ...modules.AnalysisPipeline.PROFILE_DEFAULTS[parsed.options.profile], ...parsed.options };
+    
+    try {
+        const text = fs.readFileSync(parsed.file, 'utf8');
+        const route = modules.GPXRoute.parse(text, path.basename(parsed.file));
+        const analysisOptions = { ...parsed.options };
+        if (parsed.osmFile) {
+            analysisOptions.osmExtract = await modules.OSMExtract.parse(
+                fs.readFileSync(parsed.osmFile), path.basename(parsed.osmFile)
+            );
+        }
+        const { brunnels, overpassData } = await modules.AnalysisPipeline.analyzeRoute(route, analysisOptions);
+        const failedChunks = overpassData.failedChunks.map(({ index, count, startIdx, endIdx, bounds, error }) => ({
+            index, count, startIdx, endIdx, bounds, error
+        }));
+        
+        const representatives = brunnels
+            .filter(b => b.isRepresentative())
+            .sort((a, b) => {
+                const aSpan = a.getCompoundRouteSpan();
+                const bSpan = b.getCompoundRouteSpan();
+                return (aSpan ? aSpan.startDistance : Infinity) - (bSpan ? bSpan.startDistance : Infinity);
+            });
+        const included = representatives.filter(b => b.isIncluded());
+        const excluded = representatives.filter(b => !b.isIncluded());
+        
+        if (parsed.json) {
+            console.log(JSON.stringify({
+                route: {
+                    name: route.metadata.name,
+                    totalDistanceKm: route.metadata.totalDistance / 1000,
+                    pointCount: route.metadata.pointCount
+                },
+                options: parsed.osmFile ? { ...parsed.options, osmFile: parsed.osmFile } : parsed.options,
+                included: included.map(brunnelToJSON),
+                excluded: excluded.map(brunnelToJSON),
+                failedChunks,
+                staleDate: overpassData.staleDate || null
+            }, null, 2));
+        } else {
+            console.log(formatText(route, included, excluded, modules, failedChunks, overpassData.staleDate));
+        }
+        
+        return EXIT_OK;
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return EXIT_FAILURE;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = main;
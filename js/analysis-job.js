@@ -0,0 +1,120 @@
+/**
+ * A cancellable analysis run
+ * Uses a Web Worker when available so the page stays responsive on long routes,
+ * and falls back to running the pipeline on the main thread (e.g. when opened from file://)
+ */
+class AnalysisJob {
+    static WORKER_URL = 'js/analysis-worker.js';
+    
+    /**
+     * @param {Object} track - Parsed trackpoints {coordinates, name, tracks, fileName} from GPXRoute.parseTracks()
+     * @param {Object} options - Analysis options
+     * @param {Function} onProgress - ({stage, message}) => void
+     * @param {Object} overpassData - Optional overpassData of an earlier result; only its failed chunks are
+     *     queried again (see AnalysisPipeline.retryFailedChunks)
+     */
+    constructor(track, options, onProgress, overpassData = null) {
+        this.track = track;
+        this.options = options;
+        this.onProgress = onProgress;
+        this.overpassData = overpassData;
+        this.worker = null;
+        this.abortController = new AbortController();
+        this.rejectRun = null;
+    }
+    
+    /**
+     * Run the analysis
+     * @returns {Promise<Object>} {route, brunnels, routeBuffer, overpassData}; rejects with an AbortError when cancelled
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.rejectRun = reject;
+            
+            if (typeof Worker === 'undefined') {
+                this.runInThread().then(resolve, reject);
+                return;
+            }
+            
+            try {
+                this.worker = new Worker(AnalysisJob.WORKER_URL);
+            } catch (error) {
+                console.warn(`⚠ Analysis worker unavailable (${error.message}), analyzing on the main thread`);
+                this.runInThread().then(resolve, reject);
+                return;
+            }
+            
+            this.worker.addEventListener('message', (event) => {
+                const message = event.data;
+                if (message.type === 'progress') {
+                    this.onProgress(message);
+                } else if (message.type === 'result') {
+                    this.terminateWorker();
+                    resolve({
+                        route: GPXRoute.fromData(message.route),
+                        brunnels: Brunnel.fromDataList(message.brunnels),
+                        routeBuffer: message.routeBuffer,
+                        overpassData: message.overpassData
+                    });
+                } else if (message.type === 'error') {
+                    this.terminateWorker();
+                    reject(new Error(message.message));
+                }
+            });
+            
+            // Errors in the analysis are posted as messages, so this means the worker failed to load
+            this.worker.addEventListener('error', (event) => {
+                event.preventDefault();
+                console.warn('⚠ Analysis worker failed to start, analyzing on the main thread');
+                this.terminateWorker();
+                this.runInThread().then(resolve, reject);
+            });
+            
+            this.worker.postMessage({
+                type: 'analyze',
+                track: this.track,
+                options: this.options,
+                overpassData: this.overpassData
+            });
+        });
+    }
+    
+    /**
+     * Run the analysis on the main thread
+     * @returns {Promise<Object>} {route, brunnels, routeBuffer, overpassData}
+     */
+    async runInThread() {
+        this.onProgress({ stage: 'route', message: 'Preparing route...' });
+        const route = GPXRoute.fromCoordinates(this.track.coordinates, this.track);
+        const hooks = {
+            onProgress: this.onProgress,
+            signal: this.abortController.signal
+        };
+        
+        if (this.overpassData) {
+            return await AnalysisPipeline.retryFailedChunks(route, this.overpassData, this.options, hooks);
+        }
+        return await AnalysisPipeline.analyzeRoute(route, this.options, hooks);
+    }
+    
+    /**
+     * Cancel the analysis, stopping the worker and any in-flight Overpass request
+     */
+    cancel() {
+        this.terminateWorker();
+        this.abortController.abort();
+        if (this.rejectRun) {
+            this.rejectRun(new DOMException('Analysis cancelled', 'AbortError'));
+        }
+    }
+    
+    /**
+     * Stop the worker if it is running
+     */
+    terminateWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
@@ -0,0 +1,220 @@
+/**
+ * DOM-free brunnel analysis pipeline
+ * Runs the same stages as the Python version: query → containment → route spans →
+ * compound detection → alignment → overlap resolution
+ */
+class AnalysisPipeline {
+    /**
+     * Default analysis options (same defaults as the web form)
+     */
+    static DEFAULT_OPTIONS = {
+        profile: 'cycling',
+        queryBuffer: 10,
+        timeout: 30,
+        queryMode: 'bbox',
+        excludedSubtypes: []
+    };
+    
+    /**
+     * Route buffer and bearing tolerance for each activity profile (see OverpassAPI.PROFILES);
+     * runners stray further from the mapped line and turn more sharply than cyclists, and
+     * dual carriageways put a road's bridges several meters either side of the route
+     */
+    static PROFILE_DEFAULTS = {
+        cycling: { routeBuffer: 3, bearingTolerance: 20 },
+        walking: { routeBuffer: 5, bearingTolerance: 30 },
+        driving: { routeBuffer: 6, bearingTolerance: 15 }
+    };
+    
+    /**
+     * Analyze a route for bridges and tunnels
+     * @param {Array|Object} coordinates - Route coordinates [{lat, lon}, ...] or a route object from GPXRoute
+     * @param {Object} options - Analysis options {profile, queryBuffer, routeBuffer, bearingTolerance, timeout};
+     *     routeBuffer and bearingTolerance default to the profile's values (see PROFILE_DEFAULTS),
+     *     plus optional Overpass request settings {endpoints, proxyUrl, maxAttempts, retryDelay} (see OverpassAPI.fetchQuery)
+     *     and the number of chunk queries run at once for long routes, {concurrency}; queryMode 'corridor'
+     *     queries a polygon around the route instead of its bounding box (see OverpassAPI.buildCorridor);
+     *     osmExtract reads a local .osm, GeoJSON or .osm.pbf extract instead (see OSMExtract.load);
+     *     excludedSubtypes lists structure subtypes to exclude (keys of Brunnel.SUBTYPES)
+     * @param {Object} hooks - Optional integration points
+     * @param {Function} hooks.fetchOverpass - async (query) => Overpass JSON response; replaces the HTTP request
+     * @param {Function} hooks.onProgress - ({stage, message}) => void; called as each stage starts and
+     *     with the endpoint and attempt of each Overpass request
+     * @param {AbortSignal} hooks.signal - Cancels the Overpass request and any remaining stages
+     * @returns {Promise<Object>} {route, brunnels, routeBuffer, overpassData} - brunnels includes outliers, with
+     *     exclusionReason set to null (included) or 'outlier', 'subtype', 'misaligned' or 'alternative';
+     *     overpassData.failedChunks lists chunks of a long route that could not be loaded,
+     *     overpassData.queryAreas the areas queried (see OverpassAPI.getQueryArea), and
+     *     overpassData.staleDate is when the data was fetched if the proxy served expired data
+     */
+    static async analyzeRoute(coordinates, options = {}, hooks = {}) {
+        const settings = this.getSettings(options);
+        const report = this.createReporter(hooks);
+        const route = this.prepareRoute(coordinates);
+        
+        // Find brunnels
+        report('query', settings.osmExtract
+            ? 'Reading bridges and tunnels from local OSM extract...'
+            : 'Querying OpenStreetMap for bridges and tunnels...');
+        const overpassData = await route.findBrunnels(this.getQueryOptions(settings, hooks, report));
+        
+        return this.analyzeOverpassData(route, overpassData, settings, report);
+    }
+    
+    /**
+     * Re-query the chunks that failed in an earlier analysis and analyze the combined data,
+     * without fetching the chunks that already succeeded
+     * @param {Array|Object} coordinates - Route coordinates or route object (the same route as before)
+     * @param {Object} overpassData - overpassData from the earlier result
+     * @param {Object} options - Analysis options (see analyzeRoute)
+     * @param {Object} hooks - Optional integration points (see analyzeRoute)
+     * @returns {Promise<Object>} Same as analyzeRoute; chunks that fail again stay in overpassData.failedChunks
+     */
+    static async retryFailedChunks(coordinates, overpassData, options = {}, hooks = {}) {
+        const settings = this.getSettings(options);
+        const report = this.createReporter(hooks);
+        const route = this.prepareRoute(coordinates);
+        const failedChunks = overpassData.failedChunks || [];
+        
+        report('query', `Retrying ${failedChunks.length} failed chunk${failedChunks.length === 1 ? '' : 's'}...`);
+        const retried = await OverpassAPI.queryChunks(failedChunks, this.getQueryOptions(settings, hooks, report));
+        
+        const combined = {
+            ...OverpassAPI.mergeResults([overpassData, retried]),
+            failedChunks: retried.failedChunks,
+            queryAreas: overpassData.queryAreas
+        };
+        
+        return this.analyzeOverpassData(route, combined, settings, report);
+    }
+    
+    /**
+     * Apply the default options and the defaults of the selected activity profile
+     * @param {Object} options - Analysis options (see analyzeRoute)
+     * @returns {Object} Analysis options with defaults applied
+     */
+    static getSettings(options) {
+        const profile = options.profile || this.DEFAULT_OPTIONS.profile;
+        if (!(profile in this.PROFILE_DEFAULTS)) {
+            throw new Error(`Unknown activity profile: ${profile}`);
+        }
+        return { ...this.DEFAULT_OPTIONS, ...this.PROFILE_DEFAULTS[profile], ...options, profile };
+    }
+    
+    /**
+     * Create the progress reporter shared by the stages of one run
+     * @param {Object} hooks - {onProgress, signal}
+     * @returns {Function} (stage, message) => void; throws if the run was cancelled
+     */
+    static createReporter(hooks) {
+        return (stage, message) => {
+            if (hooks.signal) {
+                hooks.signal.throwIfAborted();
+            }
+            if (hooks.onProgress) {
+                hooks.onProgress({ stage, message });
+            }
+        };
+    }
+    
+    /**
+     * Build a route object from coordinates, checking that it can be analyzed
+     * @param {Array|Object} coordinates - Route coordinates or route object
+     * @returns {Object} Route object
+     */
+    static prepareRoute(coordinates) {
+        const route = Array.isArray(coordinates) ? GPXRoute.fromCoordinates(coordinates) : coordinates;
+        if (route.coordinates.length < 2) {
+            throw new Error('Route needs at least two points');
+        }
+        return route;
+    }
+    
+    /**
+     * Get the options passed to the Overpass queries
+     * @param {Object} settings - Analysis options with defaults applied
+     * @param {Object} hooks - {fetchOverpass, signal}
+     * @param {Function} report - Progress reporter from createReporter
+     * @returns {Object} Query options
+     */
+    static getQueryOptions(settings, hooks, report) {
+        return {
+            ...settings,
+            fetchOverpass: hooks.fetchOverpass,
+            signal: hooks.signal,
+            onStatus: status => report('query', status.message)
+        };
+    }
+    
+    /**
+     * Run the analysis stages on queried brunnel data
+     * @param {Object} route - Route object
+     * @param {Object} overpassData - Brunnel data {bridges, tunnels, staleDate, failedChunks, queryAreas}
+     * @param {Object} settings - Analysis options with defaults applied
+     * @param {Function} report - Progress reporter from createReporter
+     * @returns {Object} {route, brunnels, routeBuffer, overpassData}
+     */
+    static analyzeOverpassData(route, overpassData, settings, report) {
+        console.log(`Overpass query found ${overpassData.bridges.length} bridges and ${overpassData.tunnels.length} tunnels`);
+        if (overpassData.failedChunks.length > 0) {
+            console.log(`⚠ ${overpassData.failedChunks.length} chunks could not be loaded; results are incomplete`);
+        }
+        if (overpassData.staleDate) {
+            console.log(`⚠ Using cached data from ${overpassData.staleDate}`);
+        }
+        
+        // Create brunnel objects
+        const allBrunnels = Brunnel.fromOverpassData(overpassData);
+        console.log(`Found ${allBrunnels.length} total brunnels`);
+        
+        if (allBrunnels.length === 0) {
+            report('done', 'No bridges or tunnels found near the route');
+            return { route, brunnels: allBrunnels, routeBuffer: null, overpassData };
+        }
+        
+        // Create route buffer and filter contained brunnels
+        report('containment', 'Analyzing route intersections...');
+        const routeBuffer = GeometryUtils.createRouteBuffer(route.coordinates, settings.routeBuffer);
+        
+        // Spatial indexes are built once and shared by the containment, span and overlap steps
+        const bufferIndex = new BufferIndex(routeBuffer);
+        const routeIndex = new RouteIndex(route.coordinates);
+        console.log(`Indexed ${route.coordinates.length - 1} route segments`);
+        
+        const brunnels = BrunnelAnalysis.filterContained(allBrunnels, routeBuffer, route.coordinates, bufferIndex);
+        
+        // Calculate route spans
+        report('spans', 'Calculating route spans...');
+        BrunnelAnalysis.calculateRouteSpans(brunnels, route.coordinates, settings.routeBuffer, routeIndex);
+        
+        // Find compound brunnels (after route spans calculated, before alignment filtering)
+        report('compounds', 'Detecting compound bridge/tunnel structures...');
+        BrunnelAnalysis.findCompoundBrunnels(brunnels);
+        
+        // Exclude structure subtypes turned off in the options
+        if (settings.excludedSubtypes.length > 0) {
+            BrunnelAnalysis.filterSubtypes(brunnels, settings.excludedSubtypes);
+        }
+        
+        // Filter by alignment
+        if (settings.bearingTolerance > 0) {
+            report('alignment', 'Checking alignment with the route...');
+            BrunnelAnalysis.filterAligned(
+                brunnels,
+                route.coordinates,
+                route.cumulativeDistances,
+                settings.bearingTolerance
+            );
+        }
+        
+        // Handle overlaps
+        report('overlaps', 'Resolving overlapping brunnels...');
+        BrunnelAnalysis.handleOverlaps(brunnels, route.coordinates, routeIndex);
+        
+        // Initialize selected state for all brunnels based on final exclusionReason
+        allBrunnels.forEach(brunnel => brunnel.initializeSelectedState());
+        
+        report('done', 'Analysis complete');
+        return { route, brunnels: allBrunnels, routeBuffer, overpassData };
+    }
+}
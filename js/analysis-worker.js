@@ -0,0 +1,52 @@
+/**
+ * Web Worker that runs route preparation and the analysis pipeline off the main thread
+ *
+ * Messages received:
+ *   {type: 'analyze', track: {coordinates, name, tracks, fileName}, options, overpassData}
+ *     - overpassData (optional) is the result of an earlier run whose failed chunks should be retried
+ * Messages posted:
+ *   {type: 'progress', stage, message}
+ *   {type: 'result', route, brunnels, routeBuffer, overpassData} - plain data (see GPXRoute.toData, Brunnel.toDataList)
+ *   {type: 'error', message}
+ */
+importScripts(
+    '../vendor/turf/turf.min.js',
+    'overpass-api.js',
+    'osm-extract.js',
+    'geometry.js',
+    'route-index.js',
+    'brunnel.js',
+    'gpx-route.js',
+    'analysis-pipeline.js'
+);
+
+self.addEventListener('message', async (event) => {
+    const { type, track, options, overpassData } = event.data;
+    if (type !== 'analyze') {
+        return;
+    }
+    
+    const onProgress = ({ stage, message }) => {
+        self.postMessage({ type: 'progress', stage, message });
+    };
+    
+    try {
+        onProgress({ stage: 'route', message: 'Preparing route...' });
+        const route = GPXRoute.fromCoordinates(track.coordinates, track);
+        
+        const result = overpassData
+            ? await AnalysisPipeline.retryFailedChunks(route, overpassData, options, { onProgress })
+            : await AnalysisPipeline.analyzeRoute(route, options, { onProgress });
+        
+        self.postMessage({
+            type: 'result',
+            route: GPXRoute.toData(result.route),
+            brunnels: Brunnel.toDataList(result.brunnels),
+            routeBuffer: result.routeBuffer,
+            overpassData: result.overpassData
+        });
+    } catch (error) {
+        console.error('Worker analysis error:', error);
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
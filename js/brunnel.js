@@ -3,14 +3,44 @@
  * Equivalent to Python Brunnel class
  */
 class Brunnel {
+    /**
+     * Largest gap in kilometers between component traversals that still belong to one compound traversal
+     */
+    static COMPOUND_TRAVERSAL_GAP = 0.05;
+    
+    /**
+     * Structure subtypes, keyed by the bridge=* or tunnel=* value (covered is from covered=yes and
+     * applies to either type), with their sidebar label and selected/unselected map colours
+     */
+    static SUBTYPES = {
+        boardwalk: { type: 'bridge', label: 'Boardwalk', color: '#a0522d', mutedColor: '#e0c4b0' },
+        viaduct: { type: 'bridge', label: 'Viaduct', color: '#c0392b', mutedColor: '#f2b8b0' },
+        movable: { type: 'bridge', label: 'Movable bridge', color: '#e67e22', mutedColor: '#f8d3b0' },
+        culvert: { type: 'tunnel', label: 'Culvert', color: '#16a085', mutedColor: '#b3e0d6' },
+        building_passage: { type: 'tunnel', label: 'Building passage', color: '#6c3483', mutedColor: '#d7bde2' },
+        covered: { type: null, label: 'Covered', color: '#34495e', mutedColor: '#c5ccd3' }
+    };
+    
+    /**
+     * Exclusion reasons, with the label and line dash pattern unselected brunnels are shown with on the map
+     */
+    static EXCLUSION_REASONS = {
+        subtype: { label: 'Excluded subtype', dashArray: '12 4 2 4' },
+        misaligned: { label: 'Misaligned', dashArray: '8 6' },
+        alternative: { label: 'Alternative', dashArray: '1 6' },
+        outlier: { label: 'Outside route buffer', dashArray: '2 4' }
+    };
+    
     constructor(data) {
         this.id = data.id;
         this.type = data.type; // 'bridge' or 'tunnel'
         this.name = data.name;
         this.tags = data.tags;
+        this.subtype = Brunnel.getSubtype(this.type, this.tags || {}); // Key of SUBTYPES or null
         this.geometry = data.geometry; // Array of {lat, lon} coordinates
         this.nodes = data.nodes || []; // OSM node IDs for compound detection
-        this.routeSpan = null; // Will be set during analysis
+        this.routeSpan = null; // Will be set during analysis (span of the first traversal)
+        this.traversals = []; // Every pass of the route over this brunnel, in route order
         this.exclusionReason = null; // null = included, or reason string
         this.selected = true; // User selection state for UI (initially true, updated after filtering)
         this.overlapGroup = null; // For handling overlapping brunnels
@@ -53,28 +83,128 @@ class Brunnel {
         return brunnels;
     }
     
+    /**
+     * Convert brunnels to plain data that can be posted to or from a Web Worker
+     * Compound and overlap groups are stored as lists of brunnel keys (see getKey())
+     * @param {Array} brunnels - Array of Brunnel instances
+     * @returns {Array} Array of plain objects
+     */
+    static toDataList(brunnels) {
+        return brunnels.map(brunnel => ({
+            id: brunnel.id,
+            type: brunnel.type,
+            name: brunnel.name,
+            tags: brunnel.tags,
+            geometry: brunnel.geometry,
+            nodes: brunnel.nodes,
+            routeSpan: brunnel.routeSpan,
+            traversals: brunnel.traversals,
+            exclusionReason: brunnel.exclusionReason,
+            selected: brunnel.selected,
+            compoundGroupKeys: brunnel.compoundGroup ? brunnel.compoundGroup.map(b => b.getKey()) : null,
+            overlapGroupKeys: brunnel.overlapGroup ? brunnel.overlapGroup.map(b => b.getKey()) : null
+        }));
+    }
+    
+    /**
+     * Restore Brunnel instances from data produced by toDataList()
+     * @param {Array} dataList - Array of plain objects
+     * @returns {Array} Array of Brunnel instances with shared group arrays relinked
+     */
+    static fromDataList(dataList) {
+        const brunnels = dataList.map(data => {
+            const brunnel = new Brunnel(data);
+            brunnel.routeSpan = data.routeSpan;
+            brunnel.traversals = data.traversals || [];
+            brunnel.exclusionReason = data.exclusionReason;
+            brunnel.selected = data.selected;
+            return brunnel;
+        });
+        
+        // Members of a group must share one array, as they do after analysis
+        const byKey = new Map(brunnels.map(b => [b.getKey(), b]));
+        const relink = (keys, groups) => {
+            const groupKey = keys.join(',');
+            if (!groups.has(groupKey)) {
+                groups.set(groupKey, keys.map(key => byKey.get(key)));
+            }
+            return groups.get(groupKey);
+        };
+        
+        const compoundGroups = new Map();
+        const overlapGroups = new Map();
+        dataList.forEach((data, index) => {
+            if (data.compoundGroupKeys) {
+                brunnels[index].compoundGroup = relink(data.compoundGroupKeys, compoundGroups);
+            }
+            if (data.overlapGroupKeys) {
+                brunnels[index].overlapGroup = relink(data.overlapGroupKeys, overlapGroups);
+            }
+        });
+        
+        return brunnels;
+    }
+    
+    /**
+     * Get the structure subtype of a brunnel from its tags
+     * @param {string} type - 'bridge' or 'tunnel'
+     * @param {Object} tags - OSM tags
+     * @returns {string|null} Key of SUBTYPES, or null for a plain bridge or tunnel
+     */
+    static getSubtype(type, tags) {
+        const subtype = Brunnel.SUBTYPES[tags[type]];
+        if (subtype && subtype.type === type) {
+            return tags[type];
+        }
+        if (tags.covered === 'yes') {
+            return 'covered';
+        }
+        return null;
+    }
+    
+    /**
+     * Get a label for the kind of structure, e.g. 'Viaduct' or 'Tunnel'
+     * @returns {string} Subtype label, or the capitalized type for plain bridges and tunnels
+     */
+    getTypeLabel() {
+        return this.subtype ? Brunnel.SUBTYPES[this.subtype].label : Brunnel.initialCap(this.type);
+    }
+    
+    /**
+     * Get a key that is unique across types (a way can be returned as both a bridge and a tunnel)
+     * @returns {string} Key of the form 'bridge/123'
+     */
+    getKey() {
+        return `${this.type}/${this.id}`;
+    }
+    
     /**
      * Check if brunnel is within route buffer - matches Python is_contained_by()
      * @param {Object} routeBuffer - Buffered route geometry  
+     * @param {BufferIndex} bufferIndex - Optional spatial index over routeBuffer
      * @returns {boolean} True if within
      */
-    isWithin(routeBuffer) {
-        const isWithin = GeometryUtils.brunnelWithin(this.geometry, routeBuffer);
+    isWithin(routeBuffer, bufferIndex) {
+        const isWithin = GeometryUtils.brunnelWithin(this.geometry, routeBuffer, bufferIndex);
         
         return isWithin;
     }
     
     
     /**
-     * Calculate route span where this brunnel intersects the route
+     * Calculate the traversals and route span where this brunnel intersects the route
      * @param {Array} routeCoords - Route coordinates
      * @param {number} bufferMeters - Buffer distance
+     * @param {RouteIndex} routeIndex - Optional spatial index over routeCoords
      */
-    calculateRouteSpan(routeCoords, bufferMeters) {
-        this.routeSpan = GeometryUtils.calculateRouteSpan(
+    calculateRouteSpan(routeCoords, bufferMeters, routeIndex) {
+        this.traversals = GeometryUtils.calculateTraversals(
             this.geometry, 
-            routeCoords
+            routeCoords,
+            bufferMeters,
+            routeIndex
         );
+        this.routeSpan = this.traversals[0] || null;
         
     }
     
@@ -90,13 +220,14 @@ class Brunnel {
             return true;
         }
         
-        const aligned = GeometryUtils.isBrunnelAligned(
+        // Aligned if the route follows the brunnel on any of its traversals
+        const aligned = this.traversals.some(traversal => GeometryUtils.isBrunnelAligned(
             this.geometry,
             routeCoords,
             cumulativeDistances,
-            this.routeSpan,
+            traversal,
             toleranceDegrees
-        );
+        ));
         
         return aligned;
     }
@@ -186,37 +317,50 @@ class Brunnel {
     }
 
     /**
-     * Get route span for compound brunnel (from first to last component)
-     * @returns {Object|null} Route span or null
+     * Get traversals for compound brunnel (component traversals on the same pass are merged)
+     * @returns {Array} Traversals {startDistance, endDistance, direction, heading} sorted by startDistance
      */
-    getCompoundRouteSpan() {
+    getCompoundTraversals() {
         if (!this.compoundGroup || this.compoundGroup.length <= 1) {
-            return this.routeSpan;
+            return this.traversals;
         }
         
-        const spans = this.compoundGroup
-            .map(b => b.routeSpan)
-            .filter(span => span !== null);
-            
-        if (spans.length === 0) {
-            return null;
+        const traversals = this.compoundGroup
+            .flatMap(b => b.traversals)
+            .sort((a, b) => a.startDistance - b.startDistance);
+        
+        // Components share nodes, so on one pass their traversals touch or overlap
+        const merged = [];
+        for (const traversal of traversals) {
+            const last = merged[merged.length - 1];
+            if (last && traversal.startDistance <= last.endDistance + Brunnel.COMPOUND_TRAVERSAL_GAP) {
+                last.endDistance = Math.max(last.endDistance, traversal.endDistance);
+            } else {
+                merged.push({ ...traversal });
+            }
         }
         
-        const startDistance = Math.min(...spans.map(s => s.startDistance));
-        const endDistance = Math.max(...spans.map(s => s.endDistance));
+        return merged;
+    }
+    
+    /**
+     * Get route span for compound brunnel (from first to last component of the first traversal)
+     * @returns {Object|null} Route span or null
+     */
+    getCompoundRouteSpan() {
+        if (!this.compoundGroup || this.compoundGroup.length <= 1) {
+            return this.routeSpan;
+        }
         
-        return {
-            startDistance,
-            endDistance
-        };
+        return this.getCompoundTraversals()[0] || null;
     }
     
     /**
      * Get route span as string for display
+     * @param {Object} span - Route span or traversal (defaults to the compound route span)
      * @returns {string} Route span description
      */
-    getRouteSpanString() {
-        const span = this.getCompoundRouteSpan();
+    getRouteSpanString(span = this.getCompoundRouteSpan()) {
         if (!span) {
             return 'No span';
         }
@@ -229,6 +373,20 @@ class Brunnel {
         return `${startKm}-${endKm} km (${lengthKm} km)`;
     }
     
+    /**
+     * Describe a traversal's direction of travel for display
+     * @param {Object} traversal - Traversal from getCompoundTraversals()
+     * @returns {string} Description such as 'heading NE'
+     */
+    static getTraversalDirectionString(traversal) {
+        if (traversal.heading === null || traversal.heading === undefined) {
+            return traversal.direction;
+        }
+        
+        const compass = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+        return `heading ${compass[Math.round(traversal.heading / 45) % 8]}`;
+    }
+    
     /**
      * Check if brunnel is included (not excluded)
      * @returns {boolean} True if included
@@ -242,15 +400,33 @@ class Brunnel {
      * @returns {string} CSS color
      */
     getMapColor() {
+        const subtype = Brunnel.SUBTYPES[this.subtype];
+        
         if (!this.selected) {
             // Unselected brunnels in muted colors
+            if (subtype) {
+                return subtype.mutedColor;
+            }
             return this.type === 'bridge' ? '#ffcccb' : '#e6ccff';
         }
         
         // Selected brunnels in bright colors
+        if (subtype) {
+            return subtype.color;
+        }
         return this.type === 'bridge' ? '#e74c3c' : '#9b59b6';
     }
     
+    /**
+     * Get the dash pattern for map display: excluded brunnels the user hasn't selected are drawn
+     * with the pattern of their exclusion reason
+     * @returns {string|null} SVG dash array, or null for a solid line
+     */
+    getMapDashArray() {
+        const reason = Brunnel.EXCLUSION_REASONS[this.exclusionReason];
+        return reason && !this.selected ? reason.dashArray : null;
+    }
+    
     /**
      * Get weight for map display
      * @returns {number} Line weight
@@ -276,10 +452,12 @@ class BrunnelAnalysis {
      * Filter brunnels that are within route buffer
      * @param {Array} brunnels - Array of Brunnel instances
      * @param {Object} routeBuffer - Buffered route geometry
+     * @param {Array} routeCoords - Route coordinates
+     * @param {BufferIndex} bufferIndex - Spatial index over routeBuffer (built here if not given)
      */
-    static filterContained(brunnels, routeBuffer, routeCoords) {
+    static filterContained(brunnels, routeBuffer, routeCoords, bufferIndex = new BufferIndex(routeBuffer)) {
         const contained = brunnels.filter(brunnel => {
-            const isWithin = brunnel.isWithin(routeBuffer);
+            const isWithin = brunnel.isWithin(routeBuffer, bufferIndex);
             if (!isWithin) {
                 brunnel.exclusionReason = 'outlier';
             }
@@ -294,10 +472,11 @@ class BrunnelAnalysis {
      * @param {Array} brunnels - Array of Brunnel instances
      * @param {Array} routeCoords - Route coordinates
      * @param {number} bufferMeters - Buffer distance
+     * @param {RouteIndex} routeIndex - Spatial index over routeCoords (built here if not given)
      */
-    static calculateRouteSpans(brunnels, routeCoords, bufferMeters) {
+    static calculateRouteSpans(brunnels, routeCoords, bufferMeters, routeIndex = new RouteIndex(routeCoords)) {
         for (const brunnel of brunnels) {
-            brunnel.calculateRouteSpan(routeCoords, bufferMeters);
+            brunnel.calculateRouteSpan(routeCoords, bufferMeters, routeIndex);
         }
     }
 
@@ -432,6 +611,22 @@ class BrunnelAnalysis {
         });
     }
     
+    /**
+     * Exclude brunnels whose structure subtype was turned off in the options
+     * @param {Array} brunnels - Array of Brunnel instances
+     * @param {Array} excludedSubtypes - Keys of Brunnel.SUBTYPES to exclude
+     */
+    static filterSubtypes(brunnels, excludedSubtypes) {
+        let excludedCount = 0;
+        for (const brunnel of brunnels) {
+            if (brunnel.isIncluded() && excludedSubtypes.includes(brunnel.subtype)) {
+                brunnel.exclusionReason = 'subtype';
+                excludedCount++;
+            }
+        }
+        console.log(`Subtype filter: excluded ${excludedCount} brunnels (${excludedSubtypes.join(', ')})`);
+    }
+    
     /**
      * Filter brunnels by bearing alignment
      * @param {Array} brunnels - Array of Brunnel instances
@@ -457,15 +652,16 @@ class BrunnelAnalysis {
      * Handle overlapping brunnels - only considers representative brunnels (compound group leaders)
      * @param {Array} brunnels - Array of Brunnel instances
      * @param {Array} routeCoords - Route coordinates for distance calculation
+     * @param {RouteIndex} routeIndex - Spatial index over routeCoords (built here if not given)
      */
-    static handleOverlaps(brunnels, routeCoords) {
+    static handleOverlaps(brunnels, routeCoords, routeIndex = new RouteIndex(routeCoords)) {
         const includedBrunnels = brunnels.filter(b => 
             b.isIncluded() && 
             b.routeSpan && 
             b.isRepresentative()
         );
         
-        // Group by overlapping route spans
+        // Group by overlapping route spans (on any traversal)
         const overlapGroups = [];
         
         for (const brunnel of includedBrunnels) {
@@ -474,7 +670,9 @@ class BrunnelAnalysis {
             for (const group of overlapGroups) {
                 // Check if this brunnel overlaps with any in the group
                 const overlaps = group.some(other => 
-                    this.routeSpansOverlap(brunnel.routeSpan, other.routeSpan)
+                    brunnel.traversals.some(span => 
+                        other.traversals.some(otherSpan => this.routeSpansOverlap(span, otherSpan))
+                    )
                 );
                 
                 if (overlaps) {
@@ -500,7 +698,7 @@ class BrunnelAnalysis {
                 // Calculate average distance to route for each brunnel
                 const brunnelDistances = group.map(brunnel => ({
                     brunnel,
-                    avgDistance: this._calculateAverageDistanceToRoute(brunnel, routeCoords)
+                    avgDistance: this._calculateAverageDistanceToRoute(brunnel, routeIndex)
                 }));
                 
                 // Sort by distance (closest first) 
@@ -522,19 +720,18 @@ class BrunnelAnalysis {
     /**
      * Calculate average distance from all points in a brunnel to the route
      * @param {Brunnel} brunnel - Brunnel to calculate distance for
-     * @param {Array} routeCoords - Route coordinates
+     * @param {RouteIndex} routeIndex - Spatial index over the route coordinates
      * @returns {number} Average distance in meters
      * @private
      */
-    static _calculateAverageDistanceToRoute(brunnel, routeCoords) {
-        const routeLine = turf.lineString(routeCoords.map(coord => [coord.lon, coord.lat]));
+    static _calculateAverageDistanceToRoute(brunnel, routeIndex) {
         let totalDistance = 0;
         
         // Calculate distance from each brunnel point to the route
         for (const point of brunnel.geometry) {
             const brunnelPoint = turf.point([point.lon, point.lat]);
-            const nearestPoint = turf.nearestPointOnLine(routeLine, brunnelPoint);
-            const distance = turf.distance(brunnelPoint, nearestPoint, { units: 'meters' });
+            const nearestPoint = routeIndex.nearestPoint(point);
+            const distance = turf.distance(brunnelPoint, nearestPoint.coordinates, { units: 'meters' });
             totalDistance += distance;
         }
         
@@ -551,4 +748,43 @@ class BrunnelAnalysis {
         return !(span1.endDistance <= span2.startDistance || span2.endDistance <= span1.startDistance);
     }
     
+    /**
+     * Get the user-selected structures, one representative per compound group
+     * @param {Array} brunnels - Array of Brunnel instances
+     * @returns {Array} Selected representative brunnels sorted by route position
+     */
+    static getSelectedStructures(brunnels) {
+        return brunnels
+            .filter(b => b.selected && b.isRepresentative() && b.getCompoundRouteSpan())
+            .sort((a, b) => a.getCompoundRouteSpan().startDistance - b.getCompoundRouteSpan().startDistance);
+    }
+    
+    /**
+     * List every traversal of a set of representative brunnels in route order
+     * @param {Array} brunnels - Representative Brunnel instances
+     * @returns {Array} Entries {brunnel, traversal, index, count} sorted by traversal start
+     */
+    static getTraversalList(brunnels) {
+        return brunnels
+            .flatMap(brunnel => {
+                const traversals = brunnel.getCompoundTraversals();
+                return traversals.map((traversal, index) => ({
+                    brunnel,
+                    traversal,
+                    index,
+                    count: traversals.length
+                }));
+            })
+            .sort((a, b) => a.traversal.startDistance - b.traversal.startDistance);
+    }
+    
+    /**
+     * Get every traversal of the user-selected structures in route order
+     * @param {Array} brunnels - Array of Brunnel instances
+     * @returns {Array} Entries {brunnel, traversal, index, count} (see getTraversalList)
+     */
+    static getSelectedTraversals(brunnels) {
+        return this.getTraversalList(this.getSelectedStructures(brunnels));
+    }
+    
 }
\ No newline at end of file
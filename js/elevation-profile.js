@@ -0,0 +1,359 @@
+/**
+ * Elevation profile chart drawn on a canvas under the map
+ *
+ * Shows elevation against distance along the route, with the spans of the listed brunnels
+ * shaded in their map colours. Hovering the chart reports the route position under the
+ * pointer, and a brunnel's span can be highlighted the way MapVisualization.highlightBrunnel()
+ * highlights its geometry.
+ */
+class ElevationProfile {
+    static PADDING = { top: 12, right: 16, bottom: 22, left: 48 }; // Pixels around the plot area
+    static LINE_COLOR = '#3498db'; // Same as the route polyline
+    static ORIGINAL_LINE_COLOR = '#95a5a6'; // Unflattened profile, when flattened elevations are shown
+    static HIGHLIGHT_COLOR = '#ffff00'; // Same as highlighted brunnels on the map
+    static MIN_ELEVATION_RANGE = 20; // Meters; flatter routes are drawn within at least this range
+    
+    /**
+     * @param {string} containerId - ID of the element the chart fills
+     * @param {Function} onHover - ({distance, point}) => void while the pointer is over the chart
+     *     (distance in kilometers, point from GeometryUtils.getPointAtDistance), and null when it leaves
+     */
+    constructor(containerId, onHover = null) {
+        this.container = document.getElementById(containerId);
+        this.canvas = document.createElement('canvas');
+        this.container.appendChild(this.canvas);
+        this.onHover = onHover;
+        this.route = null;
+        this.coordinates = null; // Elevations to plot (flattened or original)
+        this.spans = []; // Entries {brunnel, traversal} from BrunnelAnalysis.getTraversalList()
+        this.highlightedKey = null; // Key of the representative brunnel whose spans are highlighted
+        this.hoverDistance = null; // Kilometers along the route under the pointer
+        
+        this.canvas.addEventListener('mousemove', (event) => this.handleMouseMove(event));
+        this.canvas.addEventListener('mouseleave', () => this.handleMouseLeave());
+        
+        // Redraw at the new size when the layout changes (window resize, sidebar collapse)
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.draw()).observe(this.container);
+        } else {
+            window.addEventListener('resize', () => this.draw());
+        }
+    }
+    
+    /**
+     * Show the profile of a route
+     * @param {Object} route - Route object {coordinates, cumulativeDistances, metadata}
+     * @param {Array} brunnels - Array of Brunnel instances; the spans of the representatives are shaded
+     * @param {Array} coordinates - Coordinates to plot instead of the route's (e.g. with flattened
+     *     elevations); the original profile is drawn faintly behind them
+     */
+    setRoute(route, brunnels, coordinates = null) {
+        this.route = route;
+        this.coordinates = coordinates;
+        this.spans = BrunnelAnalysis.getTraversalList(brunnels.filter(b => b.routeSpan && b.isRepresentative()));
+        this.draw();
+    }
+    
+    /**
+     * Highlight the spans of a brunnel - all traversals of its compound group
+     * @param {string} brunnelKey - Key of the representative brunnel (see Brunnel.getKey())
+     * @param {boolean} highlight - Whether to highlight (true) or unhighlight (false)
+     */
+    highlightBrunnel(brunnelKey, highlight) {
+        if (highlight) {
+            this.highlightedKey = brunnelKey;
+        } else if (this.highlightedKey === brunnelKey) {
+            this.highlightedKey = null;
+        }
+        this.draw();
+    }
+    
+    /**
+     * Get the range of elevations in a set of coordinates
+     * @param {Array} coordinateSets - Arrays of route coordinates
+     * @returns {Object|null} {min, max} in meters, or null if there are no elevations
+     */
+    static getElevationRange(coordinateSets) {
+        let min = Infinity;
+        let max = -Infinity;
+        
+        for (const coordinates of coordinateSets) {
+            for (const coord of coordinates) {
+                if (coord.elevation === null || coord.elevation === undefined) continue;
+                min = Math.min(min, coord.elevation);
+                max = Math.max(max, coord.elevation);
+            }
+        }
+        
+        if (min === Infinity) {
+            return null;
+        }
+        
+        // Keep gentle routes from looking mountainous
+        const missing = this.MIN_ELEVATION_RANGE - (max - min);
+        if (missing > 0) {
+            min -= missing / 2;
+            max += missing / 2;
+        }
+        return { min, max };
+    }
+    
+    /**
+     * Choose a round interval for axis ticks
+     * @param {number} range - Extent of the axis
+     * @param {number} maxTicks - Most ticks that fit
+     * @returns {number} Interval of 1, 2 or 5 times a power of ten
+     */
+    static getTickInterval(range, maxTicks) {
+        const rough = range / Math.max(1, maxTicks);
+        const magnitude = 10 ** Math.floor(Math.log10(rough));
+        const step = [1, 2, 5, 10].find(multiple => multiple * magnitude >= rough);
+        return step * magnitude;
+    }
+    
+    /**
+     * Get the plot area and the scales mapping distance and elevation to canvas pixels
+     * @returns {Object|null} {left, top, width, height, totalKm, range, x(km), y(m), distanceAt(px)}
+     */
+    getLayout() {
+        const original = this.route.coordinates;
+        const range = ElevationProfile.getElevationRange(this.coordinates ? [original, this.coordinates] : [original]);
+        const totalKm = this.route.metadata.totalDistance / 1000;
+        if (!range || totalKm <= 0) {
+            return null;
+        }
+        
+        const { top, right, bottom, left } = ElevationProfile.PADDING;
+        const width = this.canvas.clientWidth - left - right;
+        const height = this.canvas.clientHeight - top - bottom;
+        
+        return {
+            left,
+            top,
+            width,
+            height,
+            totalKm,
+            range,
+            x: km => left + (km / totalKm) * width,
+            y: elevation => top + (1 - (elevation - range.min) / (range.max - range.min)) * height,
+            distanceAt: px => Math.min(totalKm, Math.max(0, (px - left) / width * totalKm))
+        };
+    }
+    
+    /**
+     * Redraw the chart
+     */
+    draw() {
+        const ctx = this.canvas.getContext('2d');
+        const ratio = window.devicePixelRatio || 1;
+        const cssWidth = this.container.clientWidth;
+        const cssHeight = this.container.clientHeight;
+        
+        // Match the canvas resolution to the screen so lines stay sharp
+        this.canvas.style.width = `${cssWidth}px`;
+        this.canvas.style.height = `${cssHeight}px`;
+        this.canvas.width = Math.round(cssWidth * ratio);
+        this.canvas.height = Math.round(cssHeight * ratio);
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, cssWidth, cssHeight);
+        
+        if (!this.route || cssWidth === 0) {
+            return;
+        }
+        
+        const layout = this.getLayout();
+        if (!layout) {
+            return;
+        }
+        
+        this.drawSpans(ctx, layout);
+        this.drawAxes(ctx, layout);
+        if (this.coordinates) {
+            this.drawLine(ctx, layout, this.route.coordinates, ElevationProfile.ORIGINAL_LINE_COLOR, false);
+        }
+        this.drawLine(ctx, layout, this.coordinates || this.route.coordinates, ElevationProfile.LINE_COLOR, true);
+        if (this.hoverDistance !== null) {
+            this.drawHover(ctx, layout);
+        }
+    }
+    
+    /**
+     * Shade the brunnel spans in their map colours, with the highlighted brunnel on top
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} layout - Layout from getLayout()
+     */
+    drawSpans(ctx, layout) {
+        const highlighted = [];
+        
+        for (const { brunnel, traversal } of this.spans) {
+            if (brunnel.getKey() === this.highlightedKey) {
+                highlighted.push(traversal);
+                continue;
+            }
+            const x1 = layout.x(traversal.startDistance);
+            const x2 = layout.x(traversal.endDistance);
+            ctx.globalAlpha = brunnel.selected ? 0.35 : 0.2;
+            ctx.fillStyle = brunnel.getMapColor();
+            ctx.fillRect(x1, layout.top, Math.max(1, x2 - x1), layout.height);
+        }
+        
+        ctx.globalAlpha = 0.6;
+        ctx.fillStyle = ElevationProfile.HIGHLIGHT_COLOR;
+        for (const traversal of highlighted) {
+            const x1 = layout.x(traversal.startDistance);
+            const x2 = layout.x(traversal.endDistance);
+            // Short spans are widened so the highlight is always visible
+            ctx.fillRect(x1 - 2, layout.top, Math.max(4, x2 - x1 + 4), layout.height);
+        }
+        ctx.globalAlpha = 1;
+    }
+    
+    /**
+     * Draw distance and elevation gridlines with their labels
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} layout - Layout from getLayout()
+     */
+    drawAxes(ctx, layout) {
+        const { left, top, width, height, totalKm, range } = layout;
+        ctx.strokeStyle = '#e0e0e0';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#7f8c8d';
+        ctx.font = '11px sans-serif';
+        
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        const elevationStep = ElevationProfile.getTickInterval(range.max - range.min, Math.floor(height / 30));
+        for (let elevation = Math.ceil(range.min / elevationStep) * elevationStep; elevation <= range.max; elevation += elevationStep) {
+            const y = Math.round(layout.y(elevation)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(left, y);
+            ctx.lineTo(left + width, y);
+            ctx.stroke();
+            ctx.fillText(`${Math.round(elevation)} m`, left - 6, y);
+        }
+        
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const distanceStep = ElevationProfile.getTickInterval(totalKm, Math.floor(width / 60));
+        for (let km = 0; km <= totalKm; km += distanceStep) {
+            const label = distanceStep < 1 ? km.toFixed(1) : km.toFixed(0);
+            ctx.fillText(`${label} km`, layout.x(km), top + height + 6);
+        }
+    }
+    
+    /**
+     * Draw an elevation line, leaving gaps where trackpoints have no elevation
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} layout - Layout from getLayout()
+     * @param {Array} coordinates - Route coordinates
+     * @param {string} color - Line colour
+     * @param {boolean} fill - Whether to fill the area under the line
+     */
+    drawLine(ctx, layout, coordinates, color, fill) {
+        const distances = this.route.cumulativeDistances;
+        const bottom = layout.top + layout.height;
+        let run = []; // Consecutive points with elevations
+        
+        const flush = () => {
+            if (run.length > 1) {
+                if (fill) {
+                    ctx.beginPath();
+                    ctx.moveTo(run[0][0], bottom);
+                    run.forEach(([x, y]) => ctx.lineTo(x, y));
+                    ctx.lineTo(run[run.length - 1][0], bottom);
+                    ctx.closePath();
+                    ctx.globalAlpha = 0.15;
+                    ctx.fillStyle = color;
+                    ctx.fill();
+                    ctx.globalAlpha = 1;
+                }
+                ctx.beginPath();
+                run.forEach(([x, y], index) => index === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y));
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 1.5;
+                ctx.stroke();
+            }
+            run = [];
+        };
+        
+        coordinates.forEach((coord, i) => {
+            if (coord.elevation === null || coord.elevation === undefined) {
+                flush();
+                return;
+            }
+            run.push([layout.x(distances[i] / 1000), layout.y(coord.elevation)]);
+        });
+        flush();
+    }
+    
+    /**
+     * Draw the pointer position with its distance and elevation
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} layout - Layout from getLayout()
+     */
+    drawHover(ctx, layout) {
+        const x = Math.round(layout.x(this.hoverDistance)) + 0.5;
+        const point = GeometryUtils.getPointAtDistance(
+            this.coordinates || this.route.coordinates, this.route.cumulativeDistances, this.hoverDistance
+        );
+        
+        ctx.strokeStyle = '#2c3e50';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, layout.top);
+        ctx.lineTo(x, layout.top + layout.height);
+        ctx.stroke();
+        
+        let label = `${this.hoverDistance.toFixed(2)} km`;
+        if (point.elevation !== null) {
+            const y = layout.y(point.elevation);
+            ctx.fillStyle = ElevationProfile.LINE_COLOR;
+            ctx.beginPath();
+            ctx.arc(x, y, 4, 0, 2 * Math.PI);
+            ctx.fill();
+            label += `, ${point.elevation.toFixed(0)} m`;
+        }
+        
+        // Keep the label inside the plot area
+        ctx.font = '11px sans-serif';
+        ctx.textBaseline = 'top';
+        const onRight = x + ctx.measureText(label).width + 8 < layout.left + layout.width;
+        ctx.textAlign = onRight ? 'left' : 'right';
+        ctx.fillStyle = '#2c3e50';
+        ctx.fillText(label, onRight ? x + 6 : x - 6, layout.top + 2);
+    }
+    
+    /**
+     * Track the pointer and report the route position under it
+     * @param {MouseEvent} event - Mouse event on the canvas
+     */
+    handleMouseMove(event) {
+        if (!this.route) return;
+        
+        const layout = this.getLayout();
+        if (!layout) return;
+        
+        const rect = this.canvas.getBoundingClientRect();
+        this.hoverDistance = layout.distanceAt(event.clientX - rect.left);
+        this.draw();
+        
+        if (this.onHover) {
+            const point = GeometryUtils.getPointAtDistance(
+                this.route.coordinates, this.route.cumulativeDistances, this.hoverDistance
+            );
+            this.onHover({ distance: this.hoverDistance, point });
+        }
+    }
+    
+    /**
+     * Clear the pointer position when it leaves the chart
+     */
+    handleMouseLeave() {
+        this.hoverDistance = null;
+        this.draw();
+        
+        if (this.onHover) {
+            this.onHover(null);
+        }
+    }
+}
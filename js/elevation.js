@@ -0,0 +1,165 @@
+/**
+ * Elevation correction for routes crossing bridges and tunnels
+ *
+ * DEM-derived elevations follow the terrain rather than the structure, so they dive
+ * into valleys under bridges and climb over hills above tunnels. Flattening replaces
+ * the elevations inside each selected brunnel span with a linear interpolation
+ * between the trackpoints on either side of the span.
+ */
+class ElevationUtils {
+    /**
+     * Minimum segment length in meters used for grade calculations (avoids spikes on near-duplicate points)
+     */
+    static MIN_GRADE_SEGMENT_METERS = 1;
+    
+    /**
+     * Check whether a route has any elevation data
+     * @param {Array} routeCoords - Route coordinates
+     * @returns {boolean} True if at least one coordinate has an elevation
+     */
+    static hasElevation(routeCoords) {
+        return routeCoords.some(coord => coord.elevation !== null && coord.elevation !== undefined);
+    }
+    
+    /**
+     * Flatten elevations across the selected brunnels
+     * @param {Object} route - Route object {coordinates, cumulativeDistances}
+     * @param {Array} brunnels - Array of Brunnel instances
+     * @returns {Object} {coordinates, stats} - Corrected copy of the coordinates and before/after statistics
+     */
+    static flattenBrunnelSpans(route, brunnels) {
+        const { coordinates: routeCoords, cumulativeDistances } = route;
+        const corrected = routeCoords.map(coord => ({ ...coord }));
+        let flattenedSpans = 0;
+        
+        // Each traversal is flattened separately (a bridge crossed twice has two spans)
+        for (const { traversal } of BrunnelAnalysis.getSelectedTraversals(brunnels)) {
+            if (this.flattenSpan(corrected, routeCoords, cumulativeDistances, traversal)) {
+                flattenedSpans++;
+            }
+        }
+        
+        const before = this.calculateProfileStats(routeCoords, cumulativeDistances);
+        const after = this.calculateProfileStats(corrected, cumulativeDistances);
+        
+        return {
+            coordinates: corrected,
+            stats: {
+                flattenedSpans,
+                totalAscentBefore: before.totalAscent,
+                totalAscentAfter: after.totalAscent,
+                ascentRemoved: before.totalAscent - after.totalAscent,
+                maxGradeBefore: before.maxGrade,
+                maxGradeAfter: after.maxGrade,
+                maxGradeChange: this.calculateMaxGradeChange(routeCoords, corrected, cumulativeDistances)
+            }
+        };
+    }
+    
+    /**
+     * Interpolate elevations for the trackpoints inside one route span
+     * @param {Array} corrected - Coordinates being corrected (modified in place)
+     * @param {Array} routeCoords - Original route coordinates
+     * @param {Array} cumulativeDistances - Pre-calculated cumulative distances in meters
+     * @param {Object} span - Route span {startDistance, endDistance} in kilometers
+     * @returns {boolean} True if the span was flattened
+     */
+    static flattenSpan(corrected, routeCoords, cumulativeDistances, span) {
+        const indices = GeometryUtils.getRouteSegmentIndices(
+            routeCoords, cumulativeDistances, span.startDistance, span.endDistance
+        );
+        if (!indices) {
+            return false;
+        }
+        
+        // Anchor on the last trackpoint before the span and the first one at or after its end,
+        // so that the anchors themselves lie on the approach roads rather than on the structure
+        const startAnchor = indices.startIndex;
+        let endAnchor = indices.endIndex;
+        while (endAnchor - 1 > startAnchor && cumulativeDistances[endAnchor - 1] >= span.endDistance * 1000) {
+            endAnchor--;
+        }
+        
+        const startElevation = routeCoords[startAnchor].elevation;
+        const endElevation = routeCoords[endAnchor].elevation;
+        if (endAnchor - startAnchor < 2 || startElevation === null || endElevation === null) {
+            return false;
+        }
+        
+        const startMeters = cumulativeDistances[startAnchor];
+        const lengthMeters = cumulativeDistances[endAnchor] - startMeters;
+        
+        for (let i = startAnchor + 1; i < endAnchor; i++) {
+            if (corrected[i].elevation === null) continue;
+            
+            const ratio = lengthMeters > 0 ? (cumulativeDistances[i] - startMeters) / lengthMeters : 0;
+            corrected[i].elevation = startElevation + (endElevation - startElevation) * ratio;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Calculate total ascent and maximum grade of a profile
+     * @param {Array} routeCoords - Route coordinates
+     * @param {Array} cumulativeDistances - Pre-calculated cumulative distances in meters
+     * @returns {Object} {totalAscent (m), maxGrade (%)}
+     */
+    static calculateProfileStats(routeCoords, cumulativeDistances) {
+        let totalAscent = 0;
+        let maxGrade = 0;
+        
+        for (let i = 1; i < routeCoords.length; i++) {
+            const grade = this.getSegmentGrade(routeCoords, cumulativeDistances, i);
+            if (grade === null) continue;
+            
+            const climb = routeCoords[i].elevation - routeCoords[i - 1].elevation;
+            if (climb > 0) {
+                totalAscent += climb;
+            }
+            maxGrade = Math.max(maxGrade, Math.abs(grade));
+        }
+        
+        return { totalAscent, maxGrade };
+    }
+    
+    /**
+     * Calculate the largest change in grade on any segment between two profiles
+     * @param {Array} originalCoords - Original route coordinates
+     * @param {Array} correctedCoords - Corrected route coordinates
+     * @param {Array} cumulativeDistances - Pre-calculated cumulative distances in meters
+     * @returns {number} Maximum absolute grade change in percent
+     */
+    static calculateMaxGradeChange(originalCoords, correctedCoords, cumulativeDistances) {
+        let maxChange = 0;
+        
+        for (let i = 1; i < originalCoords.length; i++) {
+            const before = this.getSegmentGrade(originalCoords, cumulativeDistances, i);
+            const after = this.getSegmentGrade(correctedCoords, cumulativeDistances, i);
+            if (before === null || after === null) continue;
+            
+            maxChange = Math.max(maxChange, Math.abs(after - before));
+        }
+        
+        return maxChange;
+    }
+    
+    /**
+     * Get the grade of the segment ending at a trackpoint
+     * @param {Array} routeCoords - Route coordinates
+     * @param {Array} cumulativeDistances - Pre-calculated cumulative distances in meters
+     * @param {number} index - Index of the segment's end point
+     * @returns {number|null} Grade in percent, or null if it can't be determined
+     */
+    static getSegmentGrade(routeCoords, cumulativeDistances, index) {
+        const prev = routeCoords[index - 1];
+        const curr = routeCoords[index];
+        const length = cumulativeDistances[index] - cumulativeDistances[index - 1];
+        
+        if (prev.elevation === null || curr.elevation === null || length < this.MIN_GRADE_SEGMENT_METERS) {
+            return null;
+        }
+        
+        return (curr.elevation - prev.elevation) / length * 100;
+    }
+}
@@ -54,10 +54,30 @@ class GeometryUtils {
      * @returns {Array} Array of coordinates for the route segment
      */
     static getRouteSegment(routeCoords, cumulativeDistances, startDist, endDist) {
-        if (startDist >= endDist || startDist < 0) {
+        const indices = this.getRouteSegmentIndices(routeCoords, cumulativeDistances, startDist, endDist);
+        if (!indices) {
             return [];
         }
         
+        // Return the subset of route coordinates
+        const result = routeCoords.slice(indices.startIndex, indices.endIndex + 1);
+        
+        return result;
+    }
+    
+    /**
+     * Get the index range of the route segment between two distances (see getRouteSegment)
+     * @param {Array} routeCoords - Route coordinates
+     * @param {Array} cumulativeDistances - Pre-calculated cumulative distances in meters
+     * @param {number} startDist - Start distance in kilometers (from route span)
+     * @param {number} endDist - End distance in kilometers (from route span)
+     * @returns {Object|null} Inclusive {startIndex, endIndex} or null if the range is empty
+     */
+    static getRouteSegmentIndices(routeCoords, cumulativeDistances, startDist, endDist) {
+        if (startDist >= endDist || startDist < 0) {
+            return null;
+        }
+        
         // Convert route span distances from kilometers to meters to match cumulativeDistances
         const startDistMeters = startDist * 1000;
         const endDistMeters = endDist * 1000;
@@ -84,43 +104,68 @@ class GeometryUtils {
             endIndex = routeCoords.length - 1;
         }
         
-        // If we didn't find a start index, return empty
+        // If we didn't find a start index, the range is empty
         if (startIndex === -1) {
-            return [];
+            return null;
         }
         
-        // Return the subset of route coordinates
-        const result = routeCoords.slice(startIndex, endIndex + 1);
-        
-        return result;
+        return { startIndex, endIndex };
     }
     
     /**
-     * Check if brunnel is completely within buffered route using proper geometry testing
-     * @param {Array} brunnelCoords - Brunnel coordinates
-     * @param {Object} routeBuffer - Buffered route polygon from createRouteBuffer
-     * @returns {boolean} True if brunnel is completely within (matches Python shapely.contains)
+     * Interpolate the route position at a distance along the route
+     * @param {Array} routeCoords - Route coordinates
+     * @param {Array} cumulativeDistances - Pre-calculated cumulative distances in meters
+     * @param {number} distance - Distance along route in kilometers (from route span)
+     * @returns {Object} Interpolated {lat, lon, elevation} (elevation is null if unknown)
      */
-    static brunnelWithin(brunnelCoords, routeBuffer) {
-        // Check if all brunnel points are inside the route buffer
-        for (const coord of brunnelCoords) {
-            const point = turf.point([coord.lon, coord.lat]);
-            if (!turf.booleanPointInPolygon(point, routeBuffer)) {
-                return false;
+    static getPointAtDistance(routeCoords, cumulativeDistances, distance) {
+        const distanceMeters = distance * 1000;
+        
+        // Binary search for the first vertex at or beyond the requested distance
+        let low = 0;
+        let high = cumulativeDistances.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (cumulativeDistances[mid] < distanceMeters) {
+                low = mid + 1;
+            } else {
+                high = mid;
             }
         }
         
-        // Create brunnel LineString geometry
-        const brunnelLine = turf.lineString(brunnelCoords.map(coord => [coord.lon, coord.lat]));
+        if (low === 0 || cumulativeDistances[low] === cumulativeDistances[low - 1]) {
+            const coord = routeCoords[low];
+            return { lat: coord.lat, lon: coord.lon, elevation: coord.elevation ?? null };
+        }
         
-        // Get the polygon boundary (exterior ring)
-        const polygonBoundary = turf.polygonToLine(routeBuffer);
+        const prev = routeCoords[low - 1];
+        const next = routeCoords[low];
+        const ratio = Math.min(1, Math.max(0,
+            (distanceMeters - cumulativeDistances[low - 1]) /
+            (cumulativeDistances[low] - cumulativeDistances[low - 1])
+        ));
         
-        // Check if brunnel line intersects the polygon boundary
-        const intersections = turf.lineIntersect(brunnelLine, polygonBoundary);
+        const hasElevation = prev.elevation != null && next.elevation != null;
         
-        // If there are intersections with the boundary, the line is not fully contained
-        return intersections.features.length === 0;
+        return {
+            lat: prev.lat + (next.lat - prev.lat) * ratio,
+            lon: prev.lon + (next.lon - prev.lon) * ratio,
+            elevation: hasElevation ? prev.elevation + (next.elevation - prev.elevation) * ratio : null
+        };
+    }
+    
+    /**
+     * Check if brunnel is completely within buffered route using proper geometry testing
+     * @param {Array} brunnelCoords - Brunnel coordinates
+     * @param {Object} routeBuffer - Buffered route polygon from createRouteBuffer
+     * @param {BufferIndex} bufferIndex - Spatial index over routeBuffer (built here if not given)
+     * @returns {boolean} True if brunnel is completely within (matches Python shapely.contains)
+     */
+    static brunnelWithin(brunnelCoords, routeBuffer, bufferIndex = new BufferIndex(routeBuffer)) {
+        // All brunnel points must be inside the route buffer, and the brunnel line must not
+        // intersect the polygon boundary
+        return bufferIndex.containsLine(brunnelCoords);
     }
     
     
@@ -128,23 +173,20 @@ class GeometryUtils {
      * Calculate route spans where brunnel projects onto the route using Turf.js (WGS84)
      * @param {Array} brunnelCoords - Brunnel coordinates
      * @param {Array} routeCoords - Route coordinates
+     * @param {RouteIndex} routeIndex - Spatial index over routeCoords (built here if not given)
      * @returns {Object|null} Route span {startDistance, endDistance} or null
      */
-    static calculateRouteSpan(brunnelCoords, routeCoords) {
+    static calculateRouteSpan(brunnelCoords, routeCoords, routeIndex = new RouteIndex(routeCoords)) {
         try {
-            // Create route line using WGS84 coordinates - let Turf handle projections internally
-            const routeLine = turf.lineString(routeCoords.map(coord => [coord.lon, coord.lat]));
-            
             let minDistance = Infinity;
             let maxDistance = -Infinity;
             
-            // Project each brunnel point onto the route using WGS84 coordinates
+            // Project each brunnel point onto the nearby route segments (same result as turf.nearestPointOnLine)
             for (const coord of brunnelCoords) {
-                const point = turf.point([coord.lon, coord.lat]);
-                const nearest = turf.nearestPointOnLine(routeLine, point);
+                const nearest = routeIndex.nearestPoint(coord);
                 
-                // Distance along route where this point projects (Turf handles the geodesic calculations)
-                const distanceAlongRoute = nearest.properties.location;
+                // Distance along route where this point projects, in kilometers
+                const distanceAlongRoute = nearest.location;
                 minDistance = Math.min(minDistance, distanceAlongRoute);
                 maxDistance = Math.max(maxDistance, distanceAlongRoute);
             }
@@ -162,6 +204,73 @@ class GeometryUtils {
         }
     }
     
+    /**
+     * Slack applied to the route buffer when matching brunnels to route passes, absorbing the
+     * difference between the buffer polygon and exact distances
+     */
+    static TRAVERSAL_DISTANCE_FACTOR = 1.1;
+    
+    /**
+     * Calculate every traversal of a brunnel by the route (loops and out-and-back routes can cross it more than once)
+     * @param {Array} brunnelCoords - Brunnel coordinates
+     * @param {Array} routeCoords - Route coordinates
+     * @param {number} bufferMeters - Route buffer distance in meters
+     * @param {RouteIndex} routeIndex - Spatial index over routeCoords (built here if not given)
+     * @returns {Array} Traversals {startDistance, endDistance, direction, heading} sorted by startDistance
+     */
+    static calculateTraversals(brunnelCoords, routeCoords, bufferMeters, routeIndex = new RouteIndex(routeCoords)) {
+        const maxDistance = bufferMeters / 1000 * this.TRAVERSAL_DISTANCE_FACTOR;
+        const traversals = [];
+        
+        if (brunnelCoords.length >= 2) {
+            for (const pass of routeIndex.findPasses(brunnelCoords, maxDistance)) {
+                const projections = brunnelCoords.map(coord => routeIndex.nearestPoint(coord, pass));
+                
+                // The pass only traverses the brunnel if it runs alongside all of it
+                if (projections.every(nearest => nearest.distance <= maxDistance)) {
+                    traversals.push(this.createTraversal(projections));
+                }
+            }
+        }
+        
+        // A brunnel that no single pass covers keeps its overall span
+        if (traversals.length === 0) {
+            const projections = brunnelCoords.map(coord => routeIndex.nearestPoint(coord));
+            traversals.push(this.createTraversal(projections));
+        }
+        
+        return traversals;
+    }
+    
+    /**
+     * Build a traversal from the projections of a brunnel's points onto one pass of the route
+     * @param {Array} projections - Nearest points from RouteIndex.nearestPoint, in brunnel order
+     * @returns {Object} Traversal {startDistance, endDistance, direction, heading}
+     */
+    static createTraversal(projections) {
+        let first = projections[0];
+        let last = projections[0];
+        for (const nearest of projections) {
+            if (nearest.location < first.location) first = nearest;
+            if (nearest.location > last.location) last = nearest;
+        }
+        
+        // 'forward' means travelling from the first to the last node of the OSM way
+        const direction = projections[0].location <= projections[projections.length - 1].location
+            ? 'forward'
+            : 'reverse';
+        
+        // Compass heading of the route across the brunnel
+        const heading = first === last ? null : (turf.bearing(first.coordinates, last.coordinates) + 360) % 360;
+        
+        return {
+            startDistance: first.location,
+            endDistance: last.location,
+            direction,
+            heading
+        };
+    }
+    
     /**
      * Check if brunnel bearing aligns with route bearing within tolerance using geodetic bearings
      * Uses route substring (like Python version) for the alignment test
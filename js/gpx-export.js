@@ -0,0 +1,163 @@
+/**
+ * GPX export of analyzed routes annotated with the selected bridges and tunnels
+ */
+class GPXExporter {
+    static NAMESPACE = 'https://github.com/jsmattsonjr/brunnels-js';
+    static NAMESPACE_PREFIX = 'brunnels';
+    
+    /**
+     * Generate an annotated GPX document for a route
+     * @param {Object} route - Route object from BrunnelsApp.parseGPXFile()
+     * @param {Array} brunnels - Array of Brunnel instances (after filtering)
+     * @param {Object} options - Export options
+     * @param {Array} options.coordinates - Replacement coordinates (e.g. with flattened elevations)
+     * @returns {string} GPX XML
+     */
+    static generateGPX(route, brunnels, options = {}) {
+        const coordinates = options.coordinates || route.coordinates;
+        const traversals = BrunnelAnalysis.getSelectedTraversals(brunnels);
+        const prefix = this.NAMESPACE_PREFIX;
+        
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<gpx version="1.1" creator="Brunnels JS" xmlns="http://www.topografix.com/GPX/1/1" ` +
+                `xmlns:${prefix}="${this.NAMESPACE}">`,
+            '  <metadata>',
+            `    <name>${this.escapeXML(route.metadata.name)}</name>`,
+            '  </metadata>'
+        ];
+        
+        // Waypoints at the start and end of each traversal of a selected structure, in route order
+        for (const entry of traversals) {
+            lines.push(...this.buildWaypoints(entry, coordinates, route.cumulativeDistances));
+        }
+        
+        // Tracks, preserving the original track boundaries
+        const tracks = route.tracks && route.tracks.length > 0
+            ? route.tracks
+            : [{ name: route.metadata.name, startIndex: 0, endIndex: route.coordinates.length - 1 }];
+        
+        for (const track of tracks) {
+            lines.push('  <trk>');
+            if (track.name) {
+                lines.push(`    <name>${this.escapeXML(track.name)}</name>`);
+            }
+            lines.push('    <trkseg>');
+            
+            for (let i = track.startIndex; i <= track.endIndex; i++) {
+                const entry = this.findTraversalAtDistance(traversals, route.cumulativeDistances[i] / 1000);
+                lines.push(this.buildTrackpoint(coordinates[i], entry));
+            }
+            
+            lines.push('    </trkseg>');
+            lines.push('  </trk>');
+        }
+        
+        lines.push('</gpx>');
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    /**
+     * Find the traversal that contains a distance
+     * @param {Array} traversals - Entries from BrunnelAnalysis.getSelectedTraversals()
+     * @param {number} distance - Distance along route in kilometers
+     * @returns {Object|null} Entry {brunnel, traversal, index, count} at that distance or null
+     */
+    static findTraversalAtDistance(traversals, distance) {
+        for (const entry of traversals) {
+            if (distance >= entry.traversal.startDistance && distance <= entry.traversal.endDistance) {
+                return entry;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Build start and end waypoints for one traversal of a structure
+     * @param {Object} entry - Entry {brunnel, traversal, index, count} from BrunnelAnalysis.getSelectedTraversals()
+     * @param {Array} coordinates - Route coordinates
+     * @param {Array} cumulativeDistances - Pre-calculated cumulative distances in meters
+     * @returns {Array} Lines of GPX XML
+     */
+    static buildWaypoints(entry, coordinates, cumulativeDistances) {
+        const { brunnel, traversal: span } = entry;
+        const pass = entry.count > 1 ? ` (pass ${entry.index + 1} of ${entry.count})` : '';
+        const name = brunnel.getDisplayName() + pass;
+        const typeLabel = brunnel.getTypeLabel();
+        const description = `Route span: ${brunnel.getRouteSpanString(span)}, ${Brunnel.getTraversalDirectionString(span)}`;
+        const lines = [];
+        
+        for (const [label, distance] of [['start', span.startDistance], ['end', span.endDistance]]) {
+            const point = GeometryUtils.getPointAtDistance(coordinates, cumulativeDistances, distance);
+            
+            lines.push(`  <wpt lat="${point.lat.toFixed(7)}" lon="${point.lon.toFixed(7)}">`);
+            if (point.elevation !== null) {
+                lines.push(`    <ele>${point.elevation.toFixed(1)}</ele>`);
+            }
+            lines.push(`    <name>${this.escapeXML(`${typeLabel} ${label}: ${name}`)}</name>`);
+            lines.push(`    <desc>${this.escapeXML(description)}</desc>`);
+            lines.push(`    <type>${brunnel.type}</type>`);
+            lines.push('  </wpt>');
+        }
+        
+        return lines;
+    }
+    
+    /**
+     * Build a trackpoint, keeping the original elevation and timestamp
+     * @param {Object} coord - Route coordinate {lat, lon, elevation, time}
+     * @param {Object|null} entry - Traversal entry {brunnel, traversal, index} the point falls on, if any
+     * @returns {string} GPX XML for the trackpoint
+     */
+    static buildTrackpoint(coord, entry) {
+        let xml = `      <trkpt lat="${coord.lat}" lon="${coord.lon}">`;
+        
+        if (coord.elevation !== null && coord.elevation !== undefined) {
+            xml += `<ele>${coord.elevation}</ele>`;
+        }
+        if (coord.time) {
+            xml += `<time>${this.formatTime(coord.time)}</time>`;
+        }
+        if (entry) {
+            const prefix = this.NAMESPACE_PREFIX;
+            xml += `<extensions><${prefix}:brunnel type="${entry.brunnel.type}" ` +
+                `id="${entry.brunnel.getCompoundId()}" pass="${entry.index + 1}"/></extensions>`;
+        }
+        
+        return xml + '</trkpt>';
+    }
+    
+    /**
+     * Format a timestamp as GPX (ISO 8601) time
+     * @param {Date} time - Timestamp
+     * @returns {string} ISO 8601 string without redundant milliseconds
+     */
+    static formatTime(time) {
+        return time.toISOString().replace('.000Z', 'Z');
+    }
+    
+    /**
+     * Escape text for inclusion in XML
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    static escapeXML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+    
+    /**
+     * Get the download file name for an exported route
+     * @param {Object} route - Route object
+     * @returns {string} File name ending in .gpx
+     */
+    static getExportFileName(route) {
+        const baseName = (route.fileName || route.metadata.name || 'route').replace(/\.gpx$/i, '');
+        return `${baseName}-brunnels.gpx`;
+    }
+}
@@ -0,0 +1,188 @@
+/**
+ * Route parsing and route objects (DOM-free, shared by the web app and the CLI)
+ */
+class GPXRoute {
+    /**
+     * Parse GPX text using gpxparser
+     * @param {string} text - GPX XML
+     * @param {string} fileName - Original file name (used for exports)
+     * @returns {Object} Route object
+     */
+    static parse(text, fileName = null) {
+        const { coordinates, name, tracks } = this.parseTracks(text);
+        
+        return this.fromCoordinates(coordinates, {
+            name,
+            tracks,
+            fileName
+        });
+    }
+    
+    /**
+     * Extract trackpoints from GPX text (needs DOMParser, so this part can't run in a Web Worker)
+     * @param {string} text - GPX XML
+     * @returns {Object} {coordinates, name, tracks}
+     */
+    static parseTracks(text) {
+        // Try different constructor names for gpxparser library
+        let gpx;
+        if (typeof gpxParser !== 'undefined') {
+            gpx = new gpxParser();
+        } else if (typeof GPXParser !== 'undefined') {
+            gpx = new GPXParser();
+        } else {
+            throw new Error('GPX parser library not found');
+        }
+        gpx.parse(text);
+        
+        if (gpx.tracks.length === 0) {
+            throw new Error('No tracks found in GPX file');
+        }
+        
+        // Extract coordinates from all tracks, remembering where each track starts and ends
+        const coordinates = [];
+        const tracks = [];
+        for (const track of gpx.tracks) {
+            const startIndex = coordinates.length;
+            for (const point of track.points) {
+                coordinates.push({
+                    lat: point.lat,
+                    lon: point.lon,
+                    elevation: point.ele, // null when the trackpoint has no <ele>
+                    time: point.time // Date or null
+                });
+            }
+            if (coordinates.length > startIndex) {
+                tracks.push({
+                    name: track.name,
+                    startIndex,
+                    endIndex: coordinates.length - 1
+                });
+            }
+        }
+        
+        if (coordinates.length === 0) {
+            throw new Error('No coordinates found in GPX tracks');
+        }
+        
+        return {
+            coordinates,
+            name: gpx.metadata?.name,
+            tracks
+        };
+    }
+    
+    /**
+     * Create a route object from coordinates
+     * @param {Array} coordinates - Route coordinates [{lat, lon, elevation, time}, ...]
+     * @param {Object} info - Optional {name, tracks, fileName}
+     * @returns {Object} Route object
+     */
+    static fromCoordinates(coordinates, info = {}) {
+        const cumulativeDistances = GeometryUtils.calculateCumulativeDistances(coordinates);
+        const totalDistance = cumulativeDistances[cumulativeDistances.length - 1];
+        const bounds = GeometryUtils.calculateBounds(coordinates);
+        
+        return {
+            coordinates,
+            cumulativeDistances,
+            bounds,
+            tracks: info.tracks || [],
+            fileName: info.fileName || null,
+            metadata: {
+                name: info.name || 'GPX Route',
+                totalDistance,
+                pointCount: coordinates.length
+            },
+            findBrunnels(options) {
+                return GPXRoute.findBrunnels(this, options);
+            }
+        };
+    }
+    
+    /**
+     * Convert a route object to plain data that can be posted to or from a Web Worker
+     * @param {Object} route - Route object
+     * @returns {Object} Route data without methods
+     */
+    static toData(route) {
+        const { findBrunnels, ...data } = route;
+        return data;
+    }
+    
+    /**
+     * Restore a route object from data produced by toData()
+     * @param {Object} data - Route data
+     * @returns {Object} Route object
+     */
+    static fromData(data) {
+        return {
+            ...data,
+            findBrunnels(options) {
+                return GPXRoute.findBrunnels(this, options);
+            }
+        };
+    }
+    
+    /**
+     * Query OpenStreetMap for brunnels near a route, chunking long routes
+     * @param {Object} route - Route object
+     * @param {Object} options - Query options; options.osmExtract (see OSMExtract.load) reads a local
+     *     extract instead of querying the Overpass API
+     * @returns {Promise<Object>} Brunnel data {bridges, tunnels, failedChunks, queryAreas}; failedChunks lists
+     *     the chunks of a long route that could not be loaded, and queryAreas the areas queried (see
+     *     OverpassAPI.queryChunks)
+     */
+    static async findBrunnels(route, options) {
+        const { coordinates, bounds } = route;
+        const totalDistance = route.metadata.totalDistance;
+        
+        const queryBuffer = options.queryBuffer || 10;
+        
+        // A local extract replaces the Overpass API; nothing is downloaded, so there is nothing to chunk
+        if (options.osmExtract) {
+            const extract = await OSMExtract.load(options.osmExtract);
+            const expandedBounds = GeometryUtils.expandBounds(bounds, queryBuffer);
+            console.log(`Selecting bridges and tunnels from ${extract.fileName || 'local extract'}`);
+            return {
+                ...OSMExtract.queryBrunnels(extract, expandedBounds, options),
+                failedChunks: [],
+                queryAreas: [OverpassAPI.getQueryArea({ bounds: expandedBounds })]
+            };
+        }
+        
+        // Check if route is long enough to need chunking
+        const routeLengthKm = totalDistance / 1000.0;
+        
+        if (routeLengthKm <= 500.0) {
+            // Short route - use single query
+            console.log('Base route bounding box:', bounds);
+            const expandedBounds = GeometryUtils.expandBounds(bounds, queryBuffer);
+            console.log(`Expanded bounds with ${queryBuffer}m buffer:`, expandedBounds);
+            
+            // Corridor mode queries a polygon around the route instead of the whole bounding box
+            const corridor = options.queryMode === 'corridor'
+                ? OverpassAPI.buildCorridor(coordinates, queryBuffer)
+                : null;
+            
+            // Calculate and log query area before API call
+            if (corridor) {
+                console.log(
+                    `Querying Overpass API for bridges and tunnels in ` +
+                    `${OverpassAPI.describeAreaSaved(corridor.areaSqKm, corridor.bboxAreaSqKm)}...`
+                );
+            } else {
+                console.log(
+                    `Querying Overpass API for bridges and tunnels in ` +
+                    `${OverpassAPI.getAreaSqKm(expandedBounds).toFixed(1)} sq km area...`
+                );
+            }
+            
+            const data = await OverpassAPI.queryBrunnels(expandedBounds, { ...options, corridor });
+            return { ...data, failedChunks: [], queryAreas: [OverpassAPI.getQueryArea({ bounds: expandedBounds, corridor })] };
+        } else {
+            // Long route - use chunked queries
+            return await OverpassAPI.queryBrunnelsChunked(coordinates, options);
+        }
+    }
+}
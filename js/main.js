@@ -4,9 +4,21 @@
 class BrunnelsApp {
     constructor() {
         this.route = null;
+        this.track = null; // Parsed trackpoints, kept so failed chunks can be retried
+        this.overpassData = null; // Overpass data behind the current results (includes failedChunks)
         this.brunnels = [];
+        this.candidates = []; // Every brunnel Overpass returned, outliers included (for the debug overlays)
+        this.routeBuffer = null; // Route buffer polygon of the current results
+        this.hiddenFilters = new Set(); // Filter chips switched off, e.g. 'type:tunnel' or 'reason:misaligned'
         this.mapVisualization = null;
+        this.elevationProfile = null; // Chart under the map, created for the first route with elevations
+        this.flattenElevation = false; // Whether elevations are flattened across selected brunnels
+        this.elevationCorrection = null; // Result of ElevationUtils.flattenBrunnelSpans()
+        this.currentJob = null; // AnalysisJob while an analysis is running
+        this.analysisOptions = null; // Options of the current results, reused to refresh them
+        this.proxyTileSources = []; // Tile sources the local proxy serves from MBTiles files
         this.initializeEventListeners();
+        this.loadProxyTileSources();
     }
     
     /**
@@ -15,6 +27,14 @@ class BrunnelsApp {
     initializeEventListeners() {
         const gpxFileInput = document.getElementById('gpxFile');
         const errorBackBtn = document.getElementById('errorBackBtn');
+        const exportGpxBtn = document.getElementById('exportGpxBtn');
+        const flattenElevationBtn = document.getElementById('flattenElevationBtn');
+        const cancelAnalysisBtn = document.getElementById('cancelAnalysisBtn');
+        const retryChunksBtn = document.getElementById('retryChunksBtn');
+        const refreshRouteDataBtn = document.getElementById('refreshRouteDataBtn');
+        const activityProfileSelect = document.getElementById('activityProfile');
+        const distanceMarkerSelects = document.querySelectorAll('#distanceMarkerUnit, #distanceMarkerInterval');
+        const tileSourcesInput = document.getElementById('tileSources');
         const advancedOptionsButton = document.querySelector('.advanced-options-button');
         const advancedOptionsPanel = document.querySelector('.advanced-options-panel');
         
@@ -31,6 +51,56 @@ class BrunnelsApp {
             this.showUploadScreen();
         });
         
+        // Cancel a running analysis
+        cancelAnalysisBtn.addEventListener('click', () => {
+            if (this.currentJob) {
+                this.currentJob.cancel();
+            }
+        });
+        
+        // Retry the chunks of a long route that failed to load
+        retryChunksBtn.addEventListener('click', () => {
+            this.retryFailedChunks();
+        });
+        
+        // Drop the proxy's cached data for this route and analyze it again
+        refreshRouteDataBtn.addEventListener('click', () => {
+            this.refreshRouteData();
+        });
+        
+        // Export annotated GPX
+        exportGpxBtn.addEventListener('click', () => {
+            this.exportGPX();
+        });
+        
+        // Toggle elevation flattening across selected brunnels
+        flattenElevationBtn.addEventListener('click', () => {
+            this.flattenElevation = !this.flattenElevation;
+            this.updateElevationCorrection();
+        });
+        
+        // Distance markers along the route can be changed without analyzing again
+        distanceMarkerSelects.forEach(select => {
+            select.addEventListener('change', () => {
+                if (this.mapVisualization) {
+                    this.mapVisualization.setDistanceMarkers(this.getDistanceMarkerOptions());
+                }
+            });
+        });
+        
+        // Tile sources entered in Advanced Options are remembered between visits
+        tileSourcesInput.value = this.getStoredTileSources();
+        tileSourcesInput.addEventListener('change', () => {
+            this.storeTileSources(tileSourcesInput.value);
+        });
+        
+        // Switching activity resets the route width and bearing tolerance to the profile's defaults
+        activityProfileSelect.addEventListener('change', () => {
+            const defaults = AnalysisPipeline.PROFILE_DEFAULTS[activityProfileSelect.value];
+            document.getElementById('routeBuffer').value = defaults.routeBuffer;
+            document.getElementById('bearingTolerance').value = defaults.bearingTolerance;
+        });
+        
         // Advanced options toggle
         if (advancedOptionsButton && advancedOptionsPanel) {
             advancedOptionsButton.addEventListener('click', () => {
@@ -60,181 +130,301 @@ class BrunnelsApp {
             
             const options = this.getAnalysisOptions();
             
+            // A local OSM extract replaces the Overpass API; it is parsed with the rest of the analysis
+            const osmExtractFile = document.getElementById('osmExtractFile').files[0];
+            if (osmExtractFile) {
+                this.showLoading();
+                this.updateLoadingMessage(`Reading ${osmExtractFile.name}...`);
+                options.osmExtract = { fileName: osmExtractFile.name, data: await osmExtractFile.arrayBuffer() };
+            }
+            
             // Parse GPX file
             this.showLoading();
             this.updateLoadingMessage('Parsing GPX file...');
-            this.route = await this.parseGPXFile(gpxFile);
-            console.log(`Loaded GPX route with ${this.route.coordinates.length} points`);
-            console.log(`Total route distance: ${(this.route.metadata.totalDistance / 1000).toFixed(2)} km`);
+            const track = await this.parseGPXFile(gpxFile);
+            this.track = track;
+            this.analysisOptions = options;
             
-            // Find brunnels
-            this.updateLoadingMessage('Querying OpenStreetMap for bridges and tunnels...');
-            const overpassData = await this.route.findBrunnels(options);
-            console.log(`Overpass query found ${overpassData.bridges.length} bridges and ${overpassData.tunnels.length} tunnels`);
+            // Prepare route, find and analyze brunnels (in a worker when possible)
+            this.currentJob = new AnalysisJob(track, options, ({ message }) => this.updateLoadingMessage(message));
+            const result = await this.currentJob.start();
+            console.log(`Loaded GPX route with ${result.route.coordinates.length} points`);
+            console.log(`Total route distance: ${(result.route.metadata.totalDistance / 1000).toFixed(2)} km`);
             
-            // Create brunnel objects
-            this.brunnels = Brunnel.fromOverpassData(overpassData);
-            console.log(`Found ${this.brunnels.length} total brunnels`);
+            this.showAnalysisResult(result);
             
-            if (this.brunnels.length === 0) {
-                this.showResultsScreen();
-                this.initializeMap();
-                this.mapVisualization.addRoute(this.route.coordinates, this.route.metadata);
-                this.updateBrunnelList(); // Show empty list
-                this.showMessage('No bridges or tunnels found near your route.');
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('Analysis cancelled');
+                this.showUploadScreen();
+                // Allow the same file to be selected again
+                document.getElementById('gpxFile').value = '';
                 return;
             }
+            console.error('Analysis error:', error);
+            this.showError(error.message);
+        } finally {
+            this.currentJob = null;
+            this.hideLoading();
+        }
+    }
+    
+    /**
+     * Re-query only the chunks that failed to load and refresh the results
+     */
+    async retryFailedChunks() {
+        if (!this.track || !this.overpassData || this.currentJob) {
+            return;
+        }
+        
+        try {
+            this.showLoading();
+            this.updateLoadingMessage('Retrying failed chunks...');
             
-            // Apply filtering
-            this.updateLoadingMessage('Analyzing route intersections...');
-            await this.applyFiltering(options);
-            
-            const includedBrunnels = this.brunnels.filter(b => b.isIncluded());
-            const bridges = includedBrunnels.filter(b => b.type === 'bridge');
-            const tunnels = includedBrunnels.filter(b => b.type === 'tunnel');
-            console.log(`Found ${bridges.length}/${this.brunnels.filter(b => b.type === 'bridge').length} nearby bridges and ${tunnels.length}/${this.brunnels.filter(b => b.type === 'tunnel').length} nearby tunnels`);
+            this.currentJob = new AnalysisJob(
+                this.track,
+                this.getAnalysisOptions(),
+                ({ message }) => this.updateLoadingMessage(message),
+                this.overpassData
+            );
+            const result = await this.currentJob.start();
             
-            // Show results
-            this.showResultsScreen();
-            this.updateBrunnelList();
-            this.updateMap();
+            this.showAnalysisResult(result);
             
         } catch (error) {
-            console.error('Analysis error:', error);
+            if (error.name === 'AbortError') {
+                // Keep showing the partial results
+                console.log('Retry cancelled');
+                return;
+            }
+            console.error('Retry error:', error);
             this.showError(error.message);
         } finally {
+            this.currentJob = null;
             this.hideLoading();
         }
     }
     
     /**
-     * Parse GPX file using gpxparser
+     * Purge the proxy's cached Overpass data around the route and analyze it again with fresh data
      */
-    async parseGPXFile(file) {
-        const text = await file.text();
-        // Try different constructor names for gpxparser library
-        let gpx;
-        if (typeof gpxParser !== 'undefined') {
-            gpx = new gpxParser();
-        } else if (typeof GPXParser !== 'undefined') {
-            gpx = new GPXParser();
-        } else {
-            throw new Error('GPX parser library not found');
+    async refreshRouteData() {
+        if (!this.track || !this.route || this.currentJob) {
+            return;
+        }
+        
+        try {
+            this.showLoading();
+            this.updateLoadingMessage('Clearing cached data for this route...');
+            
+            const bounds = GeometryUtils.expandBounds(this.route.bounds, this.analysisOptions.queryBuffer);
+            const purged = await OverpassAPI.purgeProxyCache(bounds);
+            console.log(`✓ Purged ${purged} proxy cache entries for this route`);
+            
+            this.currentJob = new AnalysisJob(
+                this.track,
+                this.analysisOptions,
+                ({ message }) => this.updateLoadingMessage(message)
+            );
+            const result = await this.currentJob.start();
+            
+            this.showAnalysisResult(result);
+            
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // Keep showing the previous results
+                console.log('Refresh cancelled');
+                return;
+            }
+            console.error('Refresh error:', error);
+            this.showError(error.message);
+        } finally {
+            this.currentJob = null;
+            this.hideLoading();
         }
-        gpx.parse(text);
+    }
+    
+    /**
+     * Show the results of an analysis or of a retry of its failed chunks
+     * @param {Object} result - Result from AnalysisJob.start()
+     */
+    showAnalysisResult(result) {
+        this.route = result.route;
+        this.routeBuffer = result.routeBuffer;
+        this.overpassData = result.overpassData;
+        
+        // Only brunnels within the route buffer are shown
+        this.candidates = result.brunnels;
+        this.brunnels = result.brunnels.filter(b => b.exclusionReason !== 'outlier');
         
-        if (gpx.tracks.length === 0) {
-            throw new Error('No tracks found in GPX file');
+        this.showResultsScreen();
+        this.updateChunkWarning();
+        this.updateCacheStatus();
+        
+        if (result.brunnels.length === 0) {
+            this.initializeMap();
+            this.mapVisualization.addRoute(this.route.coordinates, this.route.metadata);
+            this.updateDebugOverlays();
+            this.updateBrunnelList(); // Show empty list
+            this.updateElevationCorrection();
+            this.showMessage('No bridges or tunnels found near your route.');
+            return;
         }
         
-        // Extract coordinates from first track
-        const coordinates = [];
-        for (const track of gpx.tracks) {
-            for (const point of track.points) {
-                coordinates.push({
-                    lat: point.lat,
-                    lon: point.lon,
-                    elevation: point.ele || 0
-                });
-            }
+        const includedBrunnels = this.brunnels.filter(b => b.isIncluded());
+        const bridges = includedBrunnels.filter(b => b.type === 'bridge');
+        const tunnels = includedBrunnels.filter(b => b.type === 'tunnel');
+        console.log(`Found ${bridges.length}/${this.brunnels.filter(b => b.type === 'bridge').length} nearby bridges and ${tunnels.length}/${this.brunnels.filter(b => b.type === 'tunnel').length} nearby tunnels`);
+        
+        this.updateBrunnelList();
+        this.updateMap();
+        this.updateDebugOverlays();
+        this.updateElevationCorrection();
+    }
+    
+    /**
+     * Show or hide the warning about chunks of a long route that failed to load
+     */
+    updateChunkWarning() {
+        const warningDiv = document.getElementById('chunkWarning');
+        const failedChunks = this.overpassData?.failedChunks || [];
+        
+        if (failedChunks.length === 0) {
+            warningDiv.classList.add('hidden');
+            return;
         }
         
-        if (coordinates.length === 0) {
-            throw new Error('No coordinates found in GPX tracks');
+        const chunkCount = failedChunks[0].count;
+        const chunkList = failedChunks.map(chunk => chunk.index + 1).join(', ');
+        document.getElementById('chunkWarningMessage').textContent =
+            `⚠ ${failedChunks.length} of ${chunkCount} route chunks failed to load (chunk ${chunkList}). ` +
+            'Bridges and tunnels in those parts of the route are missing.';
+        warningDiv.classList.remove('hidden');
+    }
+    
+    /**
+     * Show the local proxy's cache status, or hide it when the proxy isn't running
+     */
+    async updateCacheStatus() {
+        const statusDiv = document.getElementById('cacheStatus');
+        const status = await OverpassAPI.getProxyCacheStatus();
+        
+        if (!status) {
+            statusDiv.classList.add('hidden');
+            return;
         }
         
-        // Create route object
-        const cumulativeDistances = GeometryUtils.calculateCumulativeDistances(coordinates);
-        const totalDistance = cumulativeDistances[cumulativeDistances.length - 1];
-        const bounds = GeometryUtils.calculateBounds(coordinates);
+        const { hits, misses } = status.stats;
+        const sizeMB = (status.size / (1024 * 1024)).toFixed(1);
+        document.getElementById('cacheStatusMessage').textContent =
+            `Proxy cache: ${status.entries} entries (${sizeMB} MB), ` +
+            `${hits} hit${hits === 1 ? '' : 's'} and ${misses} miss${misses === 1 ? '' : 'es'} since ` +
+            `${new Date(status.stats.since).toLocaleString()}.`;
         
-        return {
-            coordinates,
-            cumulativeDistances,
-            bounds,
-            metadata: {
-                name: gpx.metadata?.name || 'GPX Route',
-                totalDistance,
-                pointCount: coordinates.length
-            },
-            async findBrunnels(options) {
-                const queryBuffer = options.queryBuffer || 10;
-                
-                // Check if route is long enough to need chunking
-                const routeLengthKm = totalDistance / 1000.0;
-                
-                if (routeLengthKm <= 500.0) {
-                    // Short route - use single query
-                    console.log('Base route bounding box:', bounds);
-                    const expandedBounds = GeometryUtils.expandBounds(bounds, queryBuffer);
-                    console.log(`Expanded bounds with ${queryBuffer}m buffer:`, expandedBounds);
-                    
-                    // Calculate and log query area before API call
-                    const latDiff = expandedBounds.maxLat - expandedBounds.minLat;
-                    const lonDiff = expandedBounds.maxLon - expandedBounds.minLon;
-                    const avgLat = (expandedBounds.maxLat + expandedBounds.minLat) / 2;
-                    const latKm = latDiff * 111.0;
-                    const lonKm = lonDiff * 111.0 * Math.abs(Math.cos(avgLat * Math.PI / 180));
-                    const areaSqKm = latKm * lonKm;
-                    
-                    console.log(
-                        `Querying Overpass API for bridges and tunnels in ` +
-                        `${areaSqKm.toFixed(1)} sq km area...`
-                    );
-                    
-                    return await OverpassAPI.queryBrunnels(expandedBounds, options);
-                } else {
-                    // Long route - use chunked queries
-                    return await OverpassAPI.queryBrunnelsChunked(coordinates, options);
-                }
-            }
-        };
+        // The proxy serves expired data while it refreshes it, or when Overpass can't be reached
+        const staleDate = this.overpassData?.staleDate;
+        const staleMessage = document.getElementById('staleDataMessage');
+        staleMessage.textContent = staleDate
+            ? `⚠ Showing cached map data from ${new Date(staleDate).toLocaleString()}; refresh for the latest.`
+            : '';
+        staleMessage.classList.toggle('hidden', !staleDate);
+        
+        // Results from a local extract don't come from the proxy, so there is nothing to refresh
+        document.getElementById('refreshRouteDataBtn').classList.toggle('hidden', Boolean(this.analysisOptions?.osmExtract));
+        statusDiv.classList.remove('hidden');
+    }
+    
+    /**
+     * Parse GPX file using gpxparser
+     * Only extracts the trackpoints; the route itself is prepared by the analysis job
+     * @returns {Promise<Object>} {coordinates, name, tracks, fileName}
+     */
+    async parseGPXFile(file) {
+        const text = await file.text();
+        return { ...GPXRoute.parseTracks(text), fileName: file.name };
     }
     
     /**
      * Get analysis options from form
      */
     getAnalysisOptions() {
+        const profile = document.getElementById('activityProfile').value;
+        const defaults = AnalysisPipeline.PROFILE_DEFAULTS[profile];
+        
         return {
+            profile,
             queryBuffer: parseFloat(document.getElementById('queryBuffer').value) || 10,
-            routeBuffer: parseFloat(document.getElementById('routeBuffer').value) || 3,
-            bearingTolerance: parseFloat(document.getElementById('bearingTolerance').value) || 20,
-            timeout: 30
+            routeBuffer: parseFloat(document.getElementById('routeBuffer').value) || defaults.routeBuffer,
+            bearingTolerance: parseFloat(document.getElementById('bearingTolerance').value) || defaults.bearingTolerance,
+            timeout: 30,
+            queryMode: document.getElementById('queryMode').value,
+            concurrency: parseInt(document.getElementById('chunkConcurrency').value, 10) || 3,
+            excludedSubtypes: Array.from(document.querySelectorAll('.subtype-toggle input'))
+                .filter(checkbox => !checkbox.checked)
+                .map(checkbox => checkbox.dataset.subtype),
+            endpoints: this.getOverpassEndpoints(),
+            proxyUrl: OverpassAPI.getSameOriginProxyUrl()
         };
     }
     
     /**
-     * Apply filtering to brunnels
+     * Get the Overpass endpoints entered in Advanced Options
+     * @returns {Array|null} Endpoint URLs, or null to use the defaults
      */
-    async applyFiltering(options) {
-        // Create route buffer
-        this.routeBuffer = GeometryUtils.createRouteBuffer(this.route.coordinates, options.routeBuffer);
-        
-        // Filter contained brunnels
-        this.brunnels = BrunnelAnalysis.filterContained(this.brunnels, this.routeBuffer, this.route.coordinates);
-        
-        // Calculate route spans
-        BrunnelAnalysis.calculateRouteSpans(this.brunnels, this.route.coordinates, options.routeBuffer);
-        
-        // Find compound brunnels (after route spans calculated, before alignment filtering)
-        this.updateLoadingMessage('Detecting compound bridge/tunnel structures...');
-        BrunnelAnalysis.findCompoundBrunnels(this.brunnels);
+    getOverpassEndpoints() {
+        const endpoints = document.getElementById('overpassEndpoints').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0);
         
-        // Filter by alignment
-        if (options.bearingTolerance > 0) {
-            BrunnelAnalysis.filterAligned(
-                this.brunnels, 
-                this.route.coordinates, 
-                this.route.cumulativeDistances, 
-                options.bearingTolerance
-            );
+        return endpoints.length > 0 ? endpoints : null;
+    }
+    
+    /**
+     * Get the map's tile sources: those entered in Advanced Options, the local proxy's MBTiles,
+     * then the built-in ones; the first is the default base layer
+     * @returns {Array} Tile sources [{name, url, attribution, maxZoom}, ...]
+     */
+    getTileSources() {
+        return [
+            ...MapVisualization.parseTileSources(document.getElementById('tileSources').value),
+            ...this.proxyTileSources,
+            ...MapVisualization.TILE_SOURCES
+        ];
+    }
+    
+    /**
+     * Look up the tile sources of the local proxy, used by maps created from then on
+     */
+    async loadProxyTileSources() {
+        this.proxyTileSources = await OverpassAPI.getProxyTileSources();
+        if (this.proxyTileSources.length > 0) {
+            console.log(`✓ Local proxy serves map tiles: ${this.proxyTileSources.map(source => source.name).join(', ')}`);
+        }
+    }
+    
+    /**
+     * Get the tile sources entered on a previous visit
+     * @returns {string} Tile source lines, empty if none were saved or storage is unavailable
+     */
+    getStoredTileSources() {
+        try {
+            return localStorage.getItem(MapVisualization.TILE_SOURCES_STORAGE_KEY) || '';
+        } catch (error) {
+            return '';
+        }
+    }
+    
+    /**
+     * Remember the tile sources entered in Advanced Options
+     * @param {string} text - Tile source lines
+     */
+    storeTileSources(text) {
+        try {
+            localStorage.setItem(MapVisualization.TILE_SOURCES_STORAGE_KEY, text);
+        } catch (error) {
+            console.warn(`⚠ Could not save tile sources: ${error.message}`);
         }
-        
-        // Handle overlaps
-        BrunnelAnalysis.handleOverlaps(this.brunnels, this.route.coordinates);
-        
-        // Initialize selected state for all brunnels based on final exclusionReason
-        this.brunnels.forEach(brunnel => brunnel.initializeSelectedState());
     }
     
     /**
@@ -244,7 +434,20 @@ class BrunnelsApp {
         if (!this.mapVisualization) {
             this.mapVisualization = new MapVisualization('map');
         }
-        this.mapVisualization.initializeMap(this.route.bounds);
+        this.mapVisualization.initializeMap(this.route.bounds, this.getTileSources());
+        this.mapVisualization.setDistanceMarkers(this.getDistanceMarkerOptions());
+        this.mapVisualization.setBrunnelFilter(brunnel => this.passesFilters(brunnel));
+    }
+    
+    /**
+     * Get the distance marker settings chosen in the sidebar
+     * @returns {Object} {unit, interval} (see MapVisualization.setDistanceMarkers)
+     */
+    getDistanceMarkerOptions() {
+        return {
+            unit: document.getElementById('distanceMarkerUnit').value,
+            interval: parseFloat(document.getElementById('distanceMarkerInterval').value) || null
+        };
     }
     
     /**
@@ -260,6 +463,18 @@ class BrunnelsApp {
     }
     
     
+    /**
+     * Offer the route buffer, query areas and raw Overpass candidates as map overlays
+     */
+    updateDebugOverlays() {
+        this.mapVisualization.setDebugOverlays({
+            routeBuffer: this.routeBuffer,
+            queryAreas: this.overpassData.queryAreas || [],
+            failedChunks: this.overpassData.failedChunks || [],
+            candidates: this.candidates
+        });
+    }
+    
     /**
      * Update brunnel list
      */
@@ -270,42 +485,51 @@ class BrunnelsApp {
         if (this.brunnels.length === 0) {
             headerElement.textContent = 'No Brunnels Found';
             listDiv.innerHTML = '';
+            this.updateFilterChips([]);
             return;
         }
         
-        // Only show representative brunnels (atomic units) - both included and excluded
-        const sortedBrunnels = [...this.brunnels]
-            .filter(b => b.routeSpan && b.isRepresentative())
-            .sort((a, b) => {
-                const aSpan = a.getCompoundRouteSpan() || a.routeSpan;
-                const bSpan = b.getCompoundRouteSpan() || b.routeSpan;
-                return aSpan.startDistance - bSpan.startDistance;
-            });
+        // Only show representative brunnels (atomic units) - both included and excluded,
+        // with one row per traversal in route order
+        const traversals = BrunnelAnalysis.getTraversalList(
+            this.brunnels.filter(b => b.routeSpan && b.isRepresentative())
+        );
         
-        if (sortedBrunnels.length === 0) {
+        if (traversals.length === 0) {
             headerElement.textContent = 'No Brunnels Found';
             listDiv.innerHTML = '';
+            this.updateFilterChips([]);
             return;
         }
         
         headerElement.textContent = 'Brunnels Found';
         
-        const listHTML = sortedBrunnels.map(brunnel => {
+        const listHTML = traversals.map(({ brunnel, traversal, index, count }) => {
             const isSelected = brunnel.selected;
-            const cssClass = `brunnel-item ${brunnel.type} ${isSelected ? 'included' : 'excluded'}`;
+            const checkboxId = `checkbox-${brunnel.type}-${brunnel.id}-${index + 1}`;
+            const passHTML = count > 1
+                ? `<div class="brunnel-pass">Pass ${index + 1} of ${count}, ${Brunnel.getTraversalDirectionString(traversal)}</div>`
+                : '';
+            const subtypeClass = brunnel.subtype ? ` subtype-${brunnel.subtype}` : '';
+            const subtypeHTML = brunnel.subtype
+                ? `<div class="brunnel-subtype">${brunnel.getTypeLabel()}</div>`
+                : '';
+            const cssClass = `brunnel-item ${brunnel.type}${subtypeClass} ${isSelected ? 'included' : 'excluded'}`;
             const checkboxState = isSelected ? 'checked' : '';
             const checkboxLabel = isSelected ? '✓' : '✗';
             const labelClass = `checkbox-label${isSelected ? '' : ' unchecked'}`;
             
             return `
-                <div class="${cssClass}" data-brunnel-id="${brunnel.id}">
+                <div class="${cssClass}" data-brunnel-key="${brunnel.getKey()}">
                     <div class="brunnel-checkbox">
-                        <input type="checkbox" id="checkbox-${brunnel.id}" ${checkboxState} data-brunnel-id="${brunnel.id}">
-                        <label for="checkbox-${brunnel.id}" class="${labelClass}">${checkboxLabel}</label>
+                        <input type="checkbox" id="${checkboxId}" ${checkboxState} data-brunnel-key="${brunnel.getKey()}">
+                        <label for="${checkboxId}" class="${labelClass}">${checkboxLabel}</label>
                     </div>
                     <div class="brunnel-content">
                         <div class="brunnel-name"><strong>${brunnel.getDisplayName()}</strong></div>
-                        <div class="brunnel-distance">${brunnel.getRouteSpanString()}</div>
+                        ${subtypeHTML}
+                        <div class="brunnel-distance">${brunnel.getRouteSpanString(traversal)}</div>
+                        ${passHTML}
                     </div>
                 </div>
             `;
@@ -315,6 +539,80 @@ class BrunnelsApp {
         
         // Add event listeners for checkboxes and hover
         this.addBrunnelEventListeners();
+        
+        this.updateFilterChips(this.brunnels.filter(b => b.routeSpan && b.isRepresentative()));
+    }
+    
+    /**
+     * Get the filter chips a brunnel falls under: its type and its exclusion reason
+     * @param {Brunnel} brunnel - Brunnel instance
+     * @returns {Array} Chip keys, e.g. ['type:bridge', 'reason:misaligned']
+     */
+    getFilterKeys(brunnel) {
+        return [`type:${brunnel.type}`, `reason:${brunnel.exclusionReason || 'included'}`];
+    }
+    
+    /**
+     * Check whether all the filter chips a brunnel falls under are switched on
+     * @param {Brunnel} brunnel - Brunnel instance (the representative, for compound brunnels)
+     * @returns {boolean} True if the brunnel is shown
+     */
+    passesFilters(brunnel) {
+        return this.getFilterKeys(brunnel).every(key => !this.hiddenFilters.has(key));
+    }
+    
+    /**
+     * Show a filter chip per type and exclusion reason found, with its number of brunnels
+     * @param {Array} brunnels - Representative brunnels in the list
+     */
+    updateFilterChips(brunnels) {
+        const chips = [
+            ['type:bridge', 'Bridges'],
+            ['type:tunnel', 'Tunnels'],
+            ['reason:included', 'Included'],
+            ...Object.entries(Brunnel.EXCLUSION_REASONS).map(([reason, { label }]) => [`reason:${reason}`, label])
+        ];
+        
+        const filtersDiv = document.getElementById('brunnelFilters');
+        filtersDiv.innerHTML = chips.map(([key, label]) => {
+            const count = brunnels.filter(brunnel => this.getFilterKeys(brunnel).includes(key)).length;
+            if (count === 0) {
+                return '';
+            }
+            return `<button class="filter-chip" data-filter="${key}">${label} (${count})</button>`;
+        }).join('');
+        
+        filtersDiv.querySelectorAll('.filter-chip').forEach(chip => {
+            chip.addEventListener('click', () => {
+                const key = chip.dataset.filter;
+                if (this.hiddenFilters.has(key)) {
+                    this.hiddenFilters.delete(key);
+                } else {
+                    this.hiddenFilters.add(key);
+                }
+                this.applyBrunnelFilters();
+            });
+        });
+        
+        this.applyBrunnelFilters();
+    }
+    
+    /**
+     * Show or hide brunnels in the list and on the map to match the filter chips
+     */
+    applyBrunnelFilters() {
+        document.querySelectorAll('.filter-chip').forEach(chip => {
+            chip.classList.toggle('active', !this.hiddenFilters.has(chip.dataset.filter));
+        });
+        
+        document.querySelectorAll('.brunnel-item').forEach(item => {
+            const brunnel = this.brunnels.find(b => b.getKey() === item.dataset.brunnelKey);
+            item.classList.toggle('hidden', Boolean(brunnel) && !this.passesFilters(brunnel));
+        });
+        
+        if (this.mapVisualization) {
+            this.mapVisualization.setBrunnelFilter(brunnel => this.passesFilters(brunnel));
+        }
     }
     
     /**
@@ -326,62 +624,73 @@ class BrunnelsApp {
         
         // Add hover listeners to brunnel items
         brunnelItems.forEach(item => {
-            const brunnelId = item.dataset.brunnelId;
+            const brunnelKey = item.dataset.brunnelKey;
             
             item.addEventListener('mouseenter', () => {
                 if (this.mapVisualization) {
-                    this.mapVisualization.highlightBrunnel(brunnelId, true);
+                    this.mapVisualization.highlightBrunnel(brunnelKey, true);
+                }
+                if (this.elevationProfile) {
+                    this.elevationProfile.highlightBrunnel(brunnelKey, true);
                 }
             });
             
             item.addEventListener('mouseleave', () => {
                 if (this.mapVisualization) {
-                    this.mapVisualization.highlightBrunnel(brunnelId, false);
+                    this.mapVisualization.highlightBrunnel(brunnelKey, false);
+                }
+                if (this.elevationProfile) {
+                    this.elevationProfile.highlightBrunnel(brunnelKey, false);
                 }
             });
         });
         
         // Add checkbox toggle listeners
         checkboxes.forEach(checkbox => {
-            const brunnelId = checkbox.dataset.brunnelId;
+            const brunnelKey = checkbox.dataset.brunnelKey;
             
             checkbox.addEventListener('change', () => {
-                this.toggleBrunnelVisibility(brunnelId, checkbox.checked);
+                this.toggleBrunnelVisibility(brunnelKey, checkbox.checked);
             });
         });
     }
     
     /**
      * Toggle brunnel visibility on map
-     * @param {string} brunnelId - ID of the brunnel to toggle
+     * @param {string} brunnelKey - Key of the brunnel to toggle (see Brunnel.getKey())
      * @param {boolean} visible - Whether to show (true) or hide (false) the brunnel
      */
-    toggleBrunnelVisibility(brunnelId, visible) {
+    toggleBrunnelVisibility(brunnelKey, visible) {
         // Find the brunnel and update its selected state FIRST
-        const brunnel = this.brunnels.find(b => b.id.toString() === brunnelId.toString());
+        const brunnel = this.brunnels.find(b => b.getKey() === brunnelKey);
         if (brunnel) {
             brunnel.selected = visible;
         }
         
         if (this.mapVisualization) {
-            this.mapVisualization.setBrunnelVisibility(brunnelId, visible);
+            this.mapVisualization.setBrunnelVisibility(brunnelKey, visible);
         }
         
-        // Update checkbox label style and content
-        const label = document.querySelector(`label[for="checkbox-${brunnelId}"]`);
-        if (label) {
-            if (visible) {
-                label.classList.remove('unchecked');
-                label.textContent = '✓';
-            } else {
-                label.classList.add('unchecked');
-                label.textContent = '✗';
+        // Update every row of this brunnel (one per traversal): checkbox, label and styling
+        const sidebarItems = document.querySelectorAll(`.brunnel-item[data-brunnel-key="${brunnelKey}"]`);
+        sidebarItems.forEach(sidebarItem => {
+            const checkbox = sidebarItem.querySelector('input[type="checkbox"]');
+            if (checkbox) {
+                checkbox.checked = visible;
             }
-        }
-        
-        // Update sidebar item styling (color bar and opacity)
-        const sidebarItem = document.querySelector(`[data-brunnel-id="${brunnelId}"]`);
-        if (sidebarItem) {
+            
+            const label = sidebarItem.querySelector('.brunnel-checkbox label');
+            if (label) {
+                if (visible) {
+                    label.classList.remove('unchecked');
+                    label.textContent = '✓';
+                } else {
+                    label.classList.add('unchecked');
+                    label.textContent = '✗';
+                }
+            }
+            
+            // Color bar and opacity
             if (visible) {
                 sidebarItem.classList.remove('excluded');
                 sidebarItem.classList.add('included');
@@ -389,7 +698,109 @@ class BrunnelsApp {
                 sidebarItem.classList.remove('included');
                 sidebarItem.classList.add('excluded');
             }
+        });
+        
+        // Selection changes which spans are flattened
+        this.updateElevationCorrection();
+    }
+    
+    /**
+     * Recalculate (or clear) the flattened elevation profile and update its statistics
+     */
+    updateElevationCorrection() {
+        const button = document.getElementById('flattenElevationBtn');
+        const statsDiv = document.getElementById('elevationStats');
+        const hasElevation = this.route && ElevationUtils.hasElevation(this.route.coordinates);
+        
+        button.disabled = !hasElevation;
+        button.title = hasElevation ? '' : 'Route has no elevation data';
+        button.classList.toggle('active', this.flattenElevation && hasElevation);
+        
+        if (!this.flattenElevation || !hasElevation) {
+            this.elevationCorrection = null;
+            statsDiv.classList.add('hidden');
+            statsDiv.innerHTML = '';
+            this.updateElevationProfile();
+            return;
+        }
+        
+        this.elevationCorrection = ElevationUtils.flattenBrunnelSpans(this.route, this.brunnels);
+        const stats = this.elevationCorrection.stats;
+        console.log(`Flattened elevation across ${stats.flattenedSpans} brunnels, removing ${stats.ascentRemoved.toFixed(1)}m of ascent`);
+        
+        statsDiv.innerHTML = `
+            <div><strong>Flattened ${stats.flattenedSpans} brunnel span${stats.flattenedSpans === 1 ? '' : 's'}</strong></div>
+            <div>Total ascent: ${stats.totalAscentBefore.toFixed(0)} m → ${stats.totalAscentAfter.toFixed(0)} m (${stats.ascentRemoved.toFixed(0)} m removed)</div>
+            <div>Max grade: ${stats.maxGradeBefore.toFixed(1)}% → ${stats.maxGradeAfter.toFixed(1)}%</div>
+            <div>Largest grade change: ${stats.maxGradeChange.toFixed(1)}%</div>
+        `;
+        statsDiv.classList.remove('hidden');
+        this.updateElevationProfile();
+    }
+    
+    /**
+     * Show the elevation profile of the route (flattened if enabled), or hide it when there are no elevations
+     */
+    updateElevationProfile() {
+        const panel = document.getElementById('elevationProfile');
+        const hasElevation = this.route && ElevationUtils.hasElevation(this.route.coordinates);
+        const wasHidden = panel.classList.contains('hidden');
+        panel.classList.toggle('hidden', !hasElevation);
+        
+        // The map shares its pane with the profile, so it changes size when the profile comes or goes
+        if (this.mapVisualization && this.mapVisualization.map && wasHidden === Boolean(hasElevation)) {
+            this.mapVisualization.map.invalidateSize();
         }
+        
+        if (!hasElevation) {
+            return;
+        }
+        
+        if (!this.elevationProfile) {
+            // Hovering the chart marks the same position on the map
+            this.elevationProfile = new ElevationProfile('elevationProfile', (hover) => {
+                if (!this.mapVisualization || !this.mapVisualization.map) return;
+                
+                if (hover) {
+                    this.mapVisualization.showRoutePosition(hover.point);
+                } else {
+                    this.mapVisualization.hideRoutePosition();
+                }
+            });
+        }
+        
+        this.elevationProfile.setRoute(
+            this.route,
+            this.brunnels,
+            this.elevationCorrection ? this.elevationCorrection.coordinates : null
+        );
+    }
+    
+    /**
+     * Export the route as GPX annotated with the currently selected brunnels
+     */
+    exportGPX() {
+        if (!this.route) {
+            return;
+        }
+        
+        const exportOptions = this.elevationCorrection
+            ? { coordinates: this.elevationCorrection.coordinates }
+            : {};
+        const gpxContent = GPXExporter.generateGPX(this.route, this.brunnels, exportOptions);
+        const fileName = GPXExporter.getExportFileName(this.route);
+        
+        const blob = new Blob([gpxContent], { type: 'application/gpx+xml' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        
+        console.log(`Exported ${BrunnelAnalysis.getSelectedStructures(this.brunnels).length} selected brunnels to ${fileName}`);
     }
     
     /**
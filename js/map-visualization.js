@@ -2,47 +2,99 @@
  * Map visualization using Leaflet (equivalent to Python's Folium)
  */
 class MapVisualization {
+    /**
+     * Units for distance markers and readouts: label and length in kilometers
+     */
+    static DISTANCE_UNITS = {
+        km: { label: 'km', km: 1 },
+        mi: { label: 'mi', km: 1.609344 }
+    };
+    static MARKER_INTERVALS = [1, 2, 5, 10, 20, 50, 100]; // Candidate marker spacings, in units
+    static MAX_AUTO_MARKERS = 20; // Automatic spacing places at most this many markers
+    
+    /**
+     * Built-in base layers; tile sources configured by the user and the local proxy's MBTiles come first
+     * url is a Leaflet tile URL template ({s}, {z}, {x}, {y})
+     */
+    static TILE_SOURCES = [
+        {
+            name: 'Streets',
+            url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+            attribution: '© OpenStreetMap contributors',
+            maxZoom: 19
+        },
+        {
+            name: 'Satellite',
+            url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+            attribution: '© Esri, Maxar, Earthstar Geographics',
+            maxZoom: 19
+        }
+    ];
+    static TILE_SOURCES_STORAGE_KEY = 'brunnels.tileSources';
+    static DEFAULT_MAX_ZOOM = 18; // Max zoom of tile sources entered without one
+    static MAX_ZOOM = 19; // Sources with fewer zoom levels are enlarged up to this zoom
+    
     constructor(containerId) {
         this.containerId = containerId;
         this.map = null;
         this.routeLayer = null;
         this.brunnelLayers = [];
-        this.brunnelLayerMap = new Map(); // Map brunnel IDs to their Leaflet layers
+        this.brunnelLayerMap = new Map(); // Map brunnel keys (see Brunnel.getKey()) to their Leaflet layers
+        this.positionMarker = null; // Route position hovered in the elevation profile
+        this.layerControl = null;
+        this.routeCoords = null;
+        this.cumulativeDistances = null;
+        this.routeIndex = null; // Nearest-point index over the route, for distance readouts
+        this.brunnels = [];
+        this.distanceMarkers = { unit: 'km', interval: null }; // unit 'off' hides them; interval null is automatic
+        this.distanceMarkerLayer = null;
+        this.debugOverlays = []; // Optional overlays listed in the layer control (see setDebugOverlays)
+        this.brunnelFilter = () => true; // (representative brunnel) => whether its filter chips are on
+        this.legend = null;
     }
     
     /**
      * Initialize the map
      * @param {Object} bounds - Map bounds {minLat, maxLat, minLon, maxLon, center}
+     * @param {Array} tileSources - Base layers [{name, url, attribution, maxZoom}, ...] (see TILE_SOURCES)
      */
-    initializeMap(bounds) {
+    initializeMap(bounds, tileSources = MapVisualization.TILE_SOURCES) {
+        // Leaflet refuses to create a second map in the same container, so a map shown for an
+        // earlier result (before a retry or refresh) is torn down with all its layers first
+        if (this.map) {
+            this.map.remove();
+            this.map = null;
+        }
+        this.routeLayer = null;
+        this.brunnelLayers = [];
+        this.brunnelLayerMap.clear();
+
         // Create map centered on route
+        this.positionMarker = null;
+        this.debugOverlays = [];
+        this.distanceMarkerLayer = null;
+        this.legend = null;
         this.map = L.map(this.containerId).setView(
             [bounds.center.lat, bounds.center.lon], 
             10
         );
         
-        // Define base layers
-        const streetLayer = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-            attribution: '© OpenStreetMap contributors',
-            name: 'Streets'
-        });
-        
-        const satelliteLayer = L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}', {
-            attribution: '© Esri, Maxar, Earthstar Geographics',
-            name: 'Satellite'
-        });
-        
-        // Add default layer (streets)
-        streetLayer.addTo(this.map);
-        
-        // Create base layer control
-        const baseLayers = {
-            'Streets': streetLayer,
-            'Satellite': satelliteLayer
-        };
+        // Base layers, one per tile source; the first is shown by default
+        const baseLayers = {};
+        for (const source of tileSources) {
+            if (!baseLayers[source.name]) {
+                baseLayers[source.name] = L.tileLayer(source.url, {
+                    attribution: source.attribution,
+                    maxNativeZoom: source.maxZoom,
+                    maxZoom: Math.max(source.maxZoom, MapVisualization.MAX_ZOOM),
+                    name: source.name
+                });
+            }
+        }
+        Object.values(baseLayers)[0].addTo(this.map);
         
         // Add layer control to map
-        L.control.layers(baseLayers, null, {
+        this.layerControl = L.control.layers(baseLayers, null, {
             position: 'topright',
             collapsed: true
         }).addTo(this.map);
@@ -54,6 +106,37 @@ class MapVisualization {
         ], { padding: [20, 20] });
     }
     
+    /**
+     * Parse tile sources entered one per line as "name | URL template | attribution | max zoom"
+     * Attribution and max zoom may be left out; lines without a {z}/{x}/{y} URL template are skipped
+     * @param {string} text - Tile source lines
+     * @returns {Array} Tile sources [{name, url, attribution, maxZoom}, ...]
+     */
+    static parseTileSources(text) {
+        const sources = [];
+        
+        for (const line of text.split('\n')) {
+            if (line.trim().length === 0) {
+                continue;
+            }
+            
+            const [name, url, attribution = '', maxZoom] = line.split('|').map(field => field.trim());
+            if (!name || !url || !['{z}', '{x}', '{y}'].every(placeholder => url.includes(placeholder))) {
+                console.warn(`⚠ Skipping tile source without a name and {z}/{x}/{y} URL template: ${line.trim()}`);
+                continue;
+            }
+            
+            sources.push({
+                name,
+                url,
+                attribution,
+                maxZoom: parseInt(maxZoom) || this.DEFAULT_MAX_ZOOM
+            });
+        }
+        
+        return sources;
+    }
+    
     /**
      * Add route to map
      * @param {Array} routeCoords - Route coordinates
@@ -63,6 +146,10 @@ class MapVisualization {
         // Convert to Leaflet format
         const latLngs = routeCoords.map(coord => [coord.lat, coord.lon]);
         
+        this.routeCoords = routeCoords;
+        this.cumulativeDistances = GeometryUtils.calculateCumulativeDistances(routeCoords);
+        this.routeIndex = new RouteIndex(routeCoords);
+        
         // Create route polyline
         this.routeLayer = L.polyline(latLngs, {
             color: '#3498db',
@@ -70,16 +157,36 @@ class MapVisualization {
             opacity: 0.8
         }).addTo(this.map);
         
+        // Distance along the route under the pointer, and to the nearest brunnels on click
+        this.routeLayer.bindTooltip('', { sticky: true, direction: 'top', offset: [0, -8] });
+        this.routeLayer.on('mousemove', (event) => {
+            const distance = this.getDistanceAlongRoute(event.latlng);
+            if (distance !== null) {
+                this.routeLayer.setTooltipContent(this.formatDistance(distance));
+            }
+        });
+        this.routeLayer.on('click', (event) => {
+            const distance = this.getDistanceAlongRoute(event.latlng);
+            if (distance !== null) {
+                this.routeLayer.closeTooltip();
+                L.popup()
+                    .setLatLng(event.latlng)
+                    .setContent(this.createRoutePositionPopup(distance))
+                    .openOn(this.map);
+            }
+        });
+        
+        this.drawDistanceMarkers();
+        
         // Add start marker
         if (routeCoords.length > 0) {
             const startCoord = routeCoords[0];
             const startIcon = L.icon({
-                iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-green.png',
-                shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/0.7.7/images/marker-shadow.png',
+                iconUrl: 'icons/marker-start.svg',
                 iconSize: [25, 41],
                 iconAnchor: [12, 41],
                 popupAnchor: [1, -34],
-                shadowSize: [41, 41]
+                className: 'route-endpoint-marker'
             });
             
             L.marker([startCoord.lat, startCoord.lon], {
@@ -92,12 +199,11 @@ class MapVisualization {
         if (routeCoords.length > 1) {
             const endCoord = routeCoords[routeCoords.length - 1];
             const endIcon = L.icon({
-                iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-red.png',
-                shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/0.7.7/images/marker-shadow.png',
+                iconUrl: 'icons/marker-end.svg',
                 iconSize: [25, 41],
                 iconAnchor: [12, 41],
                 popupAnchor: [1, -34],
-                shadowSize: [41, 41]
+                className: 'route-endpoint-marker'
             });
             
             L.marker([endCoord.lat, endCoord.lon], {
@@ -112,6 +218,8 @@ class MapVisualization {
      * @param {Array} brunnels - Array of Brunnel instances
      */
     addBrunnels(brunnels) {
+        this.brunnels = brunnels;
+        
         // Clear existing brunnel layers
         this.brunnelLayers.forEach(layer => this.map.removeLayer(layer));
         this.brunnelLayers = [];
@@ -123,16 +231,96 @@ class MapVisualization {
         for (const brunnel of brunnelsToAdd) {
             this.addBrunnel(brunnel);
             
-            // If brunnel is not selected, hide it initially but keep it in the layer map
-            if (!brunnel.selected) {
-                const layer = this.brunnelLayerMap.get(brunnel.id.toString());
-                if (layer && this.map.hasLayer(layer)) {
-                    this.map.removeLayer(layer);
-                }
+            // Hidden brunnels stay in the layer map, so they can be shown again
+            const layer = this.brunnelLayerMap.get(brunnel.getKey());
+            if (layer) {
+                this.refreshBrunnelLayer(layer);
+            }
+        }
+        
+        this.addLegend();
+    }
+    
+    /**
+     * Get the map style of a brunnel from its type, subtype, exclusion reason and selection
+     * @param {Brunnel} brunnel - Brunnel instance
+     * @returns {Object} Leaflet path options {color, weight, opacity, dashArray}
+     */
+    getBrunnelStyle(brunnel) {
+        return {
+            color: brunnel.getMapColor(),
+            weight: brunnel.getMapWeight(),
+            opacity: brunnel.getMapOpacity(),
+            dashArray: brunnel.getMapDashArray()
+        };
+    }
+    
+    /**
+     * Check whether a brunnel belongs on the map: its filter chips are on, and it is either selected
+     * or excluded for a reason (brunnels the user deselected are hidden)
+     * @param {Brunnel} brunnel - Brunnel instance
+     * @returns {boolean} True if shown
+     */
+    isBrunnelShown(brunnel) {
+        return this.brunnelFilter(this.getRepresentativeBrunnel(brunnel)) &&
+            (brunnel.selected || brunnel.exclusionReason !== null);
+    }
+    
+    /**
+     * Show or hide a brunnel layer and reset its style, unless it is highlighted
+     * @param {L.Polyline} layer - Brunnel layer from brunnelLayerMap
+     */
+    refreshBrunnelLayer(layer) {
+        if (layer._isHighlighted) {
+            return;
+        }
+        
+        if (this.isBrunnelShown(layer._brunnel)) {
+            if (!this.map.hasLayer(layer)) {
+                this.map.addLayer(layer);
             }
+            layer.setStyle(this.getBrunnelStyle(layer._brunnel));
+        } else if (this.map.hasLayer(layer)) {
+            this.map.removeLayer(layer);
         }
     }
     
+    /**
+     * Set which brunnels the filter chips let through, and show or hide them
+     * @param {Function} filter - (representative brunnel) => boolean
+     */
+    setBrunnelFilter(filter) {
+        this.brunnelFilter = filter;
+        this.brunnelLayers.forEach(layer => this.refreshBrunnelLayer(layer));
+    }
+    
+    /**
+     * Add the legend of brunnel colours and exclusion line styles
+     */
+    addLegend() {
+        if (this.legend) {
+            return;
+        }
+        
+        const sample = (color, dashArray = null) =>
+            `<svg width="28" height="8"><line x1="1" y1="4" x2="27" y2="4" stroke="${color}" stroke-width="3" ` +
+            `stroke-linecap="round"${dashArray ? ` stroke-dasharray="${dashArray}"` : ''}/></svg>`;
+        const rows = [
+            [sample('#e74c3c'), 'Bridge'],
+            [sample('#9b59b6'), 'Tunnel'],
+            ...['subtype', 'misaligned', 'alternative'].map(reason =>
+                [sample('#7f8c8d', Brunnel.EXCLUSION_REASONS[reason].dashArray), Brunnel.EXCLUSION_REASONS[reason].label])
+        ];
+        
+        this.legend = L.control({ position: 'bottomright' });
+        this.legend.onAdd = () => {
+            const div = L.DomUtil.create('div', 'map-legend');
+            div.innerHTML = rows.map(([symbol, label]) => `<div>${symbol} ${label}</div>`).join('');
+            return div;
+        };
+        this.legend.addTo(this.map);
+    }
+    
     /**
      * Add single brunnel to map
      * @param {Brunnel} brunnel - Brunnel instance
@@ -144,11 +332,7 @@ class MapVisualization {
         const latLngs = brunnel.geometry.map(coord => [coord.lat, coord.lon]);
         
         // Create polyline
-        const polyline = L.polyline(latLngs, {
-            color: brunnel.getMapColor(),
-            weight: brunnel.getMapWeight(),
-            opacity: brunnel.getMapOpacity()
-        }).addTo(this.map);
+        const polyline = L.polyline(latLngs, this.getBrunnelStyle(brunnel)).addTo(this.map);
         
         // Create popup content
         const popupContent = this.createBrunnelPopup(brunnel);
@@ -162,16 +346,16 @@ class MapVisualization {
         // Always highlight the representative brunnel in sidebar (since only representatives are shown)
         polyline.on('mouseover', () => {
             const representativeBrunnel = this.getRepresentativeBrunnel(brunnel);
-            this.highlightSidebarItem(representativeBrunnel.id, true);
+            this.highlightSidebarItem(representativeBrunnel.getKey(), true);
         });
         
         polyline.on('mouseout', () => {
             const representativeBrunnel = this.getRepresentativeBrunnel(brunnel);
-            this.highlightSidebarItem(representativeBrunnel.id, false);
+            this.highlightSidebarItem(representativeBrunnel.getKey(), false);
         });
         
         this.brunnelLayers.push(polyline);
-        this.brunnelLayerMap.set(brunnel.id.toString(), polyline);
+        this.brunnelLayerMap.set(brunnel.getKey(), polyline);
     }
     
     /**
@@ -183,6 +367,9 @@ class MapVisualization {
         // Use display name with OSM ID for individual segments
         const displayName = `${brunnel.displayName} (${brunnel.id})`;
         let content = `<strong>${displayName}</strong><br/>`;
+        if (brunnel.subtype) {
+            content += `${brunnel.getTypeLabel()}<br/>`;
+        }
         
         // Show compound brunnel information
         if (brunnel.compoundGroup && brunnel.compoundGroup.length > 1) {
@@ -192,11 +379,16 @@ class MapVisualization {
         }
         
         if (brunnel.routeSpan) {
-            // Show individual segment's route span, not compound span
-            const startKm = brunnel.routeSpan.startDistance.toFixed(2);
-            const endKm = brunnel.routeSpan.endDistance.toFixed(2);
-            const lengthKm = (brunnel.routeSpan.endDistance - brunnel.routeSpan.startDistance).toFixed(2);
-            content += `Route span: ${startKm}-${endKm} km (${lengthKm} km)<br/>`;
+            // Show individual segment's route spans, not compound spans, one per traversal
+            const traversals = brunnel.traversals;
+            traversals.forEach((traversal, index) => {
+                const startKm = traversal.startDistance.toFixed(2);
+                const endKm = traversal.endDistance.toFixed(2);
+                const lengthKm = (traversal.endDistance - traversal.startDistance).toFixed(2);
+                const label = traversals.length > 1 ? `Pass ${index + 1}` : 'Route span';
+                const direction = Brunnel.getTraversalDirectionString(traversal);
+                content += `${label}: ${startKm}-${endKm} km (${lengthKm} km), ${direction}<br/>`;
+            });
         }
         
         if (brunnel.exclusionReason && !brunnel.selected) {
@@ -246,11 +438,11 @@ class MapVisualization {
     
     /**
      * Highlight a brunnel on the map - highlights all segments in compound groups
-     * @param {string} brunnelId - ID of the brunnel to highlight
+     * @param {string} brunnelKey - Key of the brunnel to highlight (see Brunnel.getKey())
      * @param {boolean} highlight - Whether to highlight (true) or unhighlight (false)
      */
-    highlightBrunnel(brunnelId, highlight) {
-        const brunnel = this.findBrunnelById(brunnelId);
+    highlightBrunnel(brunnelKey, highlight) {
+        const brunnel = this.findBrunnelByKey(brunnelKey);
         if (!brunnel) return;
         
         // Get all brunnels to highlight (compound group or just the single brunnel)
@@ -260,7 +452,7 @@ class MapVisualization {
         
         // Highlight/unhighlight all segments
         for (const targetBrunnel of brunnelsToHighlight) {
-            const layer = this.brunnelLayerMap.get(targetBrunnel.id.toString());
+            const layer = this.brunnelLayerMap.get(targetBrunnel.getKey());
             if (layer) {
                 if (highlight) {
                     // Temporarily add excluded brunnels to map for highlighting
@@ -271,28 +463,227 @@ class MapVisualization {
                     layer.setStyle({
                         weight: 8,
                         opacity: 1.0,
-                        color: '#ffff00' // Bright yellow for highlight
+                        color: '#ffff00', // Bright yellow for highlight
+                        dashArray: null
                     });
                     layer.bringToFront();
                     layer._isHighlighted = true;
                 } else {
-                    // Reset to original style
-                    layer.setStyle({
-                        color: targetBrunnel.getMapColor(),
-                        weight: targetBrunnel.getMapWeight(),
-                        opacity: targetBrunnel.getMapOpacity()
-                    });
+                    // Reset to original style, hiding brunnels that were only shown for highlighting
                     layer._isHighlighted = false;
-                    
-                    // Remove unselected brunnels from map after highlighting
-                    if (!targetBrunnel.selected) {
-                        this.map.removeLayer(layer);
-                    }
+                    this.refreshBrunnelLayer(layer);
                 }
             }
         }
     }
     
+    /**
+     * Set the spacing and units of the distance markers along the route, redrawing them
+     * @param {Object} options - {unit: 'km', 'mi' or 'off', interval: spacing in units, or null for automatic}
+     */
+    setDistanceMarkers(options) {
+        this.distanceMarkers = { unit: options.unit || 'km', interval: options.interval || null };
+        if (this.map) {
+            this.drawDistanceMarkers();
+        }
+    }
+    
+    /**
+     * Get the units for distances: those of the markers, or kilometers when markers are off
+     * @returns {Object} Entry of DISTANCE_UNITS
+     */
+    getDistanceUnit() {
+        return MapVisualization.DISTANCE_UNITS[this.distanceMarkers.unit] || MapVisualization.DISTANCE_UNITS.km;
+    }
+    
+    /**
+     * Format a distance in the current units
+     * @param {number} distance - Distance in kilometers
+     * @returns {string} E.g. "12.34 km"
+     */
+    formatDistance(distance) {
+        const unit = this.getDistanceUnit();
+        return `${(distance / unit.km).toFixed(2)} ${unit.label}`;
+    }
+    
+    /**
+     * Choose the marker spacing for a route: the smallest of MARKER_INTERVALS that keeps the
+     * markers to MAX_AUTO_MARKERS
+     * @param {number} length - Route length in the marker units
+     * @returns {number} Spacing in the marker units
+     */
+    static getAutoMarkerInterval(length) {
+        return this.MARKER_INTERVALS.find(interval => length / interval <= this.MAX_AUTO_MARKERS) ||
+            this.MARKER_INTERVALS[this.MARKER_INTERVALS.length - 1];
+    }
+    
+    /**
+     * Draw labelled markers at regular distances along the route
+     */
+    drawDistanceMarkers() {
+        if (this.distanceMarkerLayer) {
+            this.map.removeLayer(this.distanceMarkerLayer);
+            this.distanceMarkerLayer = null;
+        }
+        if (!this.routeCoords || this.distanceMarkers.unit === 'off') {
+            return;
+        }
+        
+        const unit = this.getDistanceUnit();
+        const length = this.cumulativeDistances[this.cumulativeDistances.length - 1] / 1000 / unit.km;
+        const interval = this.distanceMarkers.interval || MapVisualization.getAutoMarkerInterval(length);
+        const markers = [];
+        
+        for (let value = interval; value < length; value += interval) {
+            const point = GeometryUtils.getPointAtDistance(this.routeCoords, this.cumulativeDistances, value * unit.km);
+            markers.push(L.marker([point.lat, point.lon], {
+                icon: L.divIcon({
+                    className: 'distance-marker',
+                    html: `<span>${value} ${unit.label}</span>`,
+                    iconSize: null
+                }),
+                interactive: false,
+                keyboard: false
+            }));
+        }
+        
+        this.distanceMarkerLayer = L.layerGroup(markers).addTo(this.map);
+    }
+    
+    /**
+     * Get the distance along the route of the route point nearest to a position
+     * @param {Object} latlng - Leaflet position {lat, lng}
+     * @returns {number|null} Distance in kilometers, or null if there is no route
+     */
+    getDistanceAlongRoute(latlng) {
+        const nearest = this.routeIndex ? this.routeIndex.nearestPoint({ lat: latlng.lat, lon: latlng.lng }) : null;
+        return nearest ? nearest.location : null;
+    }
+    
+    /**
+     * Create popup content for a point on the route: its distance and the selected brunnels on either side
+     * @param {number} distance - Distance along the route in kilometers
+     * @returns {string} HTML content
+     */
+    createRoutePositionPopup(distance) {
+        const traversals = BrunnelAnalysis.getSelectedTraversals(this.brunnels);
+        const describe = ({ brunnel, index, count }) =>
+            `${brunnel.getDisplayName()}${count > 1 ? ` (pass ${index + 1} of ${count})` : ''}`;
+        let content = `<strong>${this.formatDistance(distance)}</strong> along the route<br/>`;
+        
+        const current = traversals.find(entry =>
+            distance >= entry.traversal.startDistance && distance <= entry.traversal.endDistance);
+        if (current) {
+            content += `On ${describe(current)}<br/>`;
+        }
+        
+        const previous = traversals.filter(entry => entry.traversal.endDistance < distance).pop();
+        const next = traversals.find(entry => entry.traversal.startDistance > distance);
+        content += next
+            ? `Next: ${describe(next)} in ${this.formatDistance(next.traversal.startDistance - distance)}<br/>`
+            : 'No more brunnels ahead<br/>';
+        content += previous
+            ? `Previous: ${describe(previous)}, ${this.formatDistance(distance - previous.traversal.endDistance)} back`
+            : 'No brunnels behind';
+        
+        return content;
+    }
+    
+    /**
+     * Replace the debug overlays: optional layers, off by default, that show how the analysis saw the
+     * route, for tuning the route and query buffers
+     * @param {Object} data - Analysis data
+     * @param {Object} data.routeBuffer - Route buffer polygon (GeoJSON) brunnels must lie within, or null
+     * @param {Array} data.queryAreas - Areas queried from Overpass (see OverpassAPI.getQueryArea)
+     * @param {Array} data.failedChunks - Chunks whose query failed (see OverpassAPI.queryChunks)
+     * @param {Array} data.candidates - Every Brunnel instance returned by Overpass, outliers included
+     */
+    setDebugOverlays({ routeBuffer = null, queryAreas = [], failedChunks = [], candidates = [] }) {
+        for (const overlay of this.debugOverlays) {
+            this.layerControl.removeLayer(overlay);
+            this.map.removeLayer(overlay);
+        }
+        this.debugOverlays = [];
+        
+        const addOverlay = (layer, name) => {
+            this.layerControl.addOverlay(layer, name);
+            this.debugOverlays.push(layer);
+        };
+        
+        if (routeBuffer) {
+            addOverlay(L.geoJSON(routeBuffer, {
+                style: { color: '#e67e22', weight: 1, fillOpacity: 0.15 },
+                interactive: false
+            }), 'Route buffer');
+        }
+        
+        if (queryAreas.length > 0) {
+            const failed = new Set(failedChunks.map(chunk => chunk.index));
+            const areas = queryAreas.map(area => {
+                const style = {
+                    color: failed.has(area.index) ? '#e74c3c' : '#2c3e50',
+                    weight: 1,
+                    dashArray: '6 4',
+                    fillOpacity: 0.05
+                };
+                const layer = area.ring
+                    ? L.polygon(area.ring, style)
+                    : L.rectangle([[area.bounds.minLat, area.bounds.minLon], [area.bounds.maxLat, area.bounds.maxLon]], style);
+                
+                const label = area.count > 1 ? `Chunk ${area.index + 1} of ${area.count}` : 'Query area';
+                return layer.bindTooltip(
+                    `${label} (${area.ring ? 'corridor' : 'bounding box'})${failed.has(area.index) ? ', failed' : ''}`,
+                    { sticky: true }
+                );
+            });
+            addOverlay(L.layerGroup(areas), queryAreas.length > 1 ? 'Query chunks' : 'Query area');
+        }
+        
+        if (candidates.length > 0) {
+            // Thin lines under the brunnel layers; outliers, which have no route span, are dashed
+            const lines = candidates
+                .filter(brunnel => brunnel.geometry.length >= 2)
+                .map(brunnel => L.polyline(brunnel.geometry.map(coord => [coord.lat, coord.lon]), {
+                    color: brunnel.type === 'bridge' ? '#c0392b' : '#8e44ad',
+                    weight: 2,
+                    opacity: 0.7,
+                    dashArray: brunnel.routeSpan ? null : Brunnel.EXCLUSION_REASONS.outlier.dashArray
+                }).bindPopup(this.createBrunnelPopup(brunnel)));
+            addOverlay(L.layerGroup(lines), `Overpass candidates (${candidates.length})`);
+        }
+    }
+    
+    /**
+     * Mark a position on the route, e.g. the one under the pointer in the elevation profile
+     * @param {Object} point - Position {lat, lon}
+     */
+    showRoutePosition(point) {
+        if (!this.positionMarker) {
+            this.positionMarker = L.circleMarker([point.lat, point.lon], {
+                radius: 6,
+                color: '#ffffff',
+                weight: 2,
+                fillColor: '#2c3e50',
+                fillOpacity: 1,
+                interactive: false
+            });
+        }
+        
+        this.positionMarker.setLatLng([point.lat, point.lon]);
+        if (!this.map.hasLayer(this.positionMarker)) {
+            this.positionMarker.addTo(this.map);
+        }
+    }
+    
+    /**
+     * Remove the route position marker
+     */
+    hideRoutePosition() {
+        if (this.positionMarker && this.map.hasLayer(this.positionMarker)) {
+            this.map.removeLayer(this.positionMarker);
+        }
+    }
+    
     /**
      * Get the representative brunnel for a given brunnel (for sidebar highlighting)
      * @param {Brunnel} brunnel - Brunnel instance
@@ -308,12 +699,13 @@ class MapVisualization {
 
     /**
      * Highlight a brunnel item in the sidebar
-     * @param {string} brunnelId - ID of the brunnel to highlight
+     * @param {string} brunnelKey - Key of the brunnel to highlight (see Brunnel.getKey())
      * @param {boolean} highlight - Whether to highlight (true) or unhighlight (false)
      */
-    highlightSidebarItem(brunnelId, highlight) {
-        const sidebarItem = document.querySelector(`[data-brunnel-id="${brunnelId}"]`);
-        if (sidebarItem) {
+    highlightSidebarItem(brunnelKey, highlight) {
+        // A brunnel crossed more than once has one sidebar row per traversal
+        const sidebarItems = document.querySelectorAll(`.brunnel-item[data-brunnel-key="${brunnelKey}"]`);
+        sidebarItems.forEach(sidebarItem => {
             if (highlight) {
                 sidebarItem.style.background = '#f0f0f0';
                 sidebarItem.style.transform = 'translateX(2px)';
@@ -321,50 +713,29 @@ class MapVisualization {
                 sidebarItem.style.background = '';
                 sidebarItem.style.transform = '';
             }
-        }
+        });
     }
     
     /**
-     * Set brunnel visibility on map
-     * @param {string} brunnelId - ID of the brunnel to show/hide
-     * @param {boolean} visible - Whether to show (true) or hide (false) the brunnel
+     * Show or hide a brunnel after its selection changed
+     * @param {string} brunnelKey - Key of the brunnel (see Brunnel.getKey())
+     * @param {boolean} visible - Whether it is now selected; deselected brunnels are hidden unless they
+     *     were excluded for a reason, which are then drawn in that reason's style (see isBrunnelShown)
      */
-    setBrunnelVisibility(brunnelId, visible) {
-        const layer = this.brunnelLayerMap.get(brunnelId.toString());
+    setBrunnelVisibility(brunnelKey, visible) {
+        const layer = this.brunnelLayerMap.get(brunnelKey);
         if (layer && layer._brunnel) {
-            const brunnel = layer._brunnel;
-            
-            if (visible) {
-                // Add layer back to map if it's not already there
-                if (!this.map.hasLayer(layer)) {
-                    this.map.addLayer(layer);
-                }
-                
-                // Only update style if not currently highlighted (yellow)
-                if (!layer._isHighlighted) {
-                    const newStyle = {
-                        color: brunnel.getMapColor(),
-                        weight: brunnel.getMapWeight(),
-                        opacity: brunnel.getMapOpacity()
-                    };
-                    layer.setStyle(newStyle);
-                }
-            } else {
-                // Remove layer from map
-                if (this.map.hasLayer(layer)) {
-                    this.map.removeLayer(layer);
-                }
-            }
+            this.refreshBrunnelLayer(layer);
         }
     }
     
     /**
-     * Find brunnel by ID (helper method)
-     * @param {string} brunnelId - ID to search for
+     * Find brunnel by key (helper method)
+     * @param {string} brunnelKey - Key to search for (see Brunnel.getKey())
      * @returns {Brunnel|null} Found brunnel or null
      */
-    findBrunnelById(brunnelId) {
-        const layer = this.brunnelLayerMap.get(brunnelId.toString());
+    findBrunnelByKey(brunnelKey) {
+        const layer = this.brunnelLayerMap.get(brunnelKey);
         return layer ? layer._brunnel : null;
     }
 }
\ No newline at end of file
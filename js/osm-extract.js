@@ -0,0 +1,824 @@
+/**
+ * Local OpenStreetMap extracts as an offline alternative to the Overpass API
+ *
+ * Reads .osm XML, GeoJSON (as exported by osmtogeojson or ogr2ogr) and .osm.pbf files,
+ * selects bridge and tunnel ways with the same rules as OverpassAPI.buildOverpassQuery(),
+ * and returns them in the structure OverpassAPI.processOverpassData() produces, so the
+ * rest of the analysis doesn't depend on where the data came from.
+ */
+
+/**
+ * Minimal protocol buffer reader for the parts of the PBF format that are needed here
+ */
+class ProtobufReader {
+    /**
+     * @param {Uint8Array} bytes - Encoded message
+     */
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.pos = 0;
+    }
+    
+    /**
+     * Check whether there are fields left to read
+     * @returns {boolean} True if the end of the message hasn't been reached
+     */
+    hasMore() {
+        return this.pos < this.bytes.length;
+    }
+    
+    /**
+     * Read an unsigned varint (exact up to 2^53, which covers OSM IDs and coordinates)
+     * @returns {number} Value
+     */
+    readVarint() {
+        let result = 0;
+        let multiplier = 1;
+        let byte;
+        do {
+            byte = this.bytes[this.pos++];
+            result += (byte & 0x7f) * multiplier;
+            multiplier *= 128;
+        } while (byte & 0x80);
+        return result;
+    }
+    
+    /**
+     * Read a zigzag-encoded signed varint (sint32/sint64)
+     * @returns {number} Value
+     */
+    readSignedVarint() {
+        const value = this.readVarint();
+        return value % 2 === 1 ? -(value + 1) / 2 : value / 2;
+    }
+    
+    /**
+     * Read a field key
+     * @returns {Object} {field, wireType}
+     */
+    readKey() {
+        const key = this.readVarint();
+        return { field: Math.floor(key / 8), wireType: key % 8 };
+    }
+    
+    /**
+     * Read a length-delimited field (bytes, string, embedded message or packed values)
+     * @returns {Uint8Array} Field contents
+     */
+    readBytes() {
+        const length = this.readVarint();
+        const bytes = this.bytes.subarray(this.pos, this.pos + length);
+        this.pos += length;
+        return bytes;
+    }
+    
+    /**
+     * Read packed varints
+     * @param {boolean} signed - Whether the values are zigzag-encoded
+     * @returns {Array} Values
+     */
+    readPacked(signed = false) {
+        const reader = new ProtobufReader(this.readBytes());
+        const values = [];
+        while (reader.hasMore()) {
+            values.push(signed ? reader.readSignedVarint() : reader.readVarint());
+        }
+        return values;
+    }
+    
+    /**
+     * Skip a field that isn't needed
+     * @param {number} wireType - Wire type from readKey()
+     */
+    skip(wireType) {
+        switch (wireType) {
+            case 0:
+                this.readVarint();
+                break;
+            case 1:
+                this.pos += 8;
+                break;
+            case 2: {
+                const length = this.readVarint();
+                this.pos += length;
+                break;
+            }
+            case 5:
+                this.pos += 4;
+                break;
+            default:
+                throw new Error(`Unsupported protobuf wire type ${wireType}`);
+        }
+    }
+}
+
+/**
+ * Loading and querying local OSM extracts
+ */
+class OSMExtract {
+    /**
+     * PBF features this reader understands; files requiring anything else are rejected
+     */
+    static PBF_FEATURES = ['OsmSchema-V0.6', 'DenseNodes'];
+    
+    /**
+     * Get a parsed extract, parsing raw file contents if needed
+     * @param {Object} source - Parsed extract from parse(), or raw file contents {fileName, data}
+     * @returns {Promise<Object>} Parsed extract {fileName, format, ways}
+     */
+    static async load(source) {
+        if (source.ways) {
+            return source;
+        }
+        return this.parse(source.data, source.fileName);
+    }
+    
+    /**
+     * Parse a local extract, detecting its format from the contents
+     * @param {string|ArrayBuffer|Uint8Array} data - File contents
+     * @param {string} fileName - Original file name (for logging)
+     * @returns {Promise<Object>} Parsed extract {fileName, format, ways}, where ways are the bridge and
+     *     tunnel ways {id, tags, nodes, geometry} found in the file
+     */
+    static async parse(data, fileName = null) {
+        let ways;
+        let format;
+        
+        if (typeof data !== 'string') {
+            const bytes = ArrayBuffer.isView(data) ? data : new Uint8Array(data);
+            if (this.isPBF(bytes)) {
+                format = 'pbf';
+                ways = await this.parsePBF(bytes);
+            } else {
+                data = new TextDecoder().decode(bytes);
+            }
+        }
+        
+        if (!format) {
+            const text = data.trimStart();
+            if (text.startsWith('<')) {
+                format = 'osm';
+                ways = this.parseXML(text);
+            } else if (text.startsWith('{')) {
+                format = 'geojson';
+                ways = this.parseGeoJSON(JSON.parse(text));
+            } else {
+                throw new Error('Unrecognized OSM extract: expected .osm XML, GeoJSON or .osm.pbf');
+            }
+        }
+        
+        console.log(`✓ Loaded ${ways.length} bridge and tunnel ways from ${fileName || 'local extract'} (${format})`);
+        return { fileName, format, ways };
+    }
+    
+    /**
+     * Check whether a way is tagged as a bridge or tunnel (before applying the query rules)
+     * @param {Object} tags - OSM tags
+     * @returns {boolean} True if the way has a bridge or tunnel key
+     */
+    static isCandidate(tags) {
+        return 'bridge' in tags || 'tunnel' in tags;
+    }
+    
+    /**
+     * Parse .osm XML (as written by JOSM, osmium or the OSM API)
+     * @param {string} text - XML document
+     * @returns {Array} Bridge and tunnel ways {id, tags, nodes, geometry}
+     */
+    static parseXML(text) {
+        const nodes = new Map();
+        const ways = [];
+        let way = null;
+        
+        // Scanned with a regular expression: DOMParser isn't available in Web Workers or Node.js,
+        // and .osm files only use a handful of flat elements. Attribute values may contain '>'.
+        const elementPattern = /<(\/?)(node|way|nd|tag)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+        let match;
+        while ((match = elementPattern.exec(text)) !== null) {
+            const [, closing, name, attributeText] = match;
+            
+            if (closing) {
+                if (name === 'way' && way) {
+                    if (this.isCandidate(way.tags)) {
+                        const created = this.createWay(way.id, way.tags, way.nodeIds.map(Number),
+                            way.nodeIds.map(id => nodes.get(id)));
+                        if (created) {
+                            ways.push(created);
+                        }
+                    }
+                    way = null;
+                }
+                continue;
+            }
+            
+            const attributes = this.parseAttributes(attributeText);
+            if (name === 'node') {
+                nodes.set(attributes.id, { lat: parseFloat(attributes.lat), lon: parseFloat(attributes.lon) });
+            } else if (name === 'way') {
+                // Self-closing ways have no nodes
+                way = attributeText.trimEnd().endsWith('/')
+                    ? null
+                    : { id: Number(attributes.id), tags: {}, nodeIds: [] };
+            } else if (way && name === 'nd') {
+                way.nodeIds.push(attributes.ref);
+            } else if (way && name === 'tag') {
+                way.tags[attributes.k] = attributes.v;
+            }
+        }
+        
+        return ways;
+    }
+    
+    /**
+     * Parse the attributes of an XML start tag
+     * @param {string} text - Attribute text, e.g. id="1" lat='50.1'
+     * @returns {Object} Attribute values with XML entities decoded
+     */
+    static parseAttributes(text) {
+        const attributes = {};
+        const pattern = /([\w:]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            attributes[match[1]] = this.decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+        }
+        return attributes;
+    }
+    
+    /**
+     * Decode XML character and entity references
+     * @param {string} text - Attribute value
+     * @returns {string} Decoded text
+     */
+    static decodeEntities(text) {
+        const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+        return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (entity, name) => {
+            if (name[0] === '#') {
+                return String.fromCodePoint(name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+            }
+            return entities[name] !== undefined ? entities[name] : entity;
+        });
+    }
+    
+    /**
+     * Parse GeoJSON line features carrying OSM tags
+     *
+     * GeoJSON has no node IDs, so each vertex is identified by its coordinates instead; ways that
+     * share an endpoint still share a node, which is all compound brunnel detection needs.
+     * @param {Object} geojson - FeatureCollection
+     * @returns {Array} Bridge and tunnel ways {id, tags, nodes, geometry}
+     */
+    static parseGeoJSON(geojson) {
+        if (geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+            throw new Error('GeoJSON extract must be a FeatureCollection');
+        }
+        
+        const ways = [];
+        for (const feature of geojson.features) {
+            if (!feature.geometry || feature.geometry.type !== 'LineString') continue;
+            
+            const properties = feature.properties || {};
+            const id = this.getGeoJSONWayId(feature);
+            if (id === null) continue;
+            
+            const tags = this.getGeoJSONTags(properties);
+            if (!this.isCandidate(tags)) continue;
+            
+            const geometry = feature.geometry.coordinates.map(([lon, lat]) => ({ lat, lon }));
+            const way = this.createWay(id, tags, geometry.map(point => `${point.lat},${point.lon}`), geometry);
+            if (way) {
+                ways.push(way);
+            }
+        }
+        
+        return ways;
+    }
+    
+    /**
+     * Get the OSM way ID of a GeoJSON feature
+     * @param {Object} feature - GeoJSON feature
+     * @returns {number|null} Way ID, or null if the feature isn't an OSM way
+     */
+    static getGeoJSONWayId(feature) {
+        const properties = feature.properties || {};
+        
+        // osmtogeojson: "way/123" as the feature ID and in @id; ogr2ogr: osm_id
+        for (const value of [feature.id, properties['@id'], properties.id]) {
+            if (typeof value === 'string') {
+                const match = value.match(/^way\/(\d+)$/);
+                if (match) {
+                    return Number(match[1]);
+                }
+                if (value.match(/^(node|relation)\//)) {
+                    return null;
+                }
+            }
+        }
+        const id = properties.osm_id !== undefined ? properties.osm_id : feature.id;
+        return id !== undefined && id !== null && !Number.isNaN(Number(id)) ? Number(id) : null;
+    }
+    
+    /**
+     * Get the OSM tags of a GeoJSON feature
+     * @param {Object} properties - Feature properties
+     * @returns {Object} Tags
+     */
+    static getGeoJSONTags(properties) {
+        // osmtogeojson can nest tags; otherwise tags are the properties themselves
+        const source = properties.tags && typeof properties.tags === 'object' ? properties.tags : properties;
+        const tags = {};
+        
+        for (const [key, value] of Object.entries(source)) {
+            if (key.startsWith('@') || key === 'id' || key === 'osm_id' || key === 'other_tags') continue;
+            if (value === null || value === undefined || typeof value === 'object') continue;
+            tags[key] = String(value);
+        }
+        
+        // ogr2ogr keeps tags without their own column in an hstore string: "k1"=>"v1","k2"=>"v2"
+        if (typeof properties.other_tags === 'string') {
+            const pattern = /"((?:[^"\\]|\\.)*)"=>"((?:[^"\\]|\\.)*)"/g;
+            let match;
+            while ((match = pattern.exec(properties.other_tags)) !== null) {
+                tags[match[1].replace(/\\(.)/g, '$1')] = match[2].replace(/\\(.)/g, '$1');
+            }
+        }
+        
+        return tags;
+    }
+    
+    /**
+     * Check whether data looks like an .osm.pbf file (the first block is an OSMHeader)
+     * @param {Uint8Array} bytes - File contents
+     * @returns {boolean} True for PBF data
+     */
+    static isPBF(bytes) {
+        // 4-byte header length, then BlobHeader field 1 (type) with the 9-byte string "OSMHeader"
+        return bytes.length > 15 && bytes[4] === 0x0a && bytes[5] === 9 &&
+            new TextDecoder().decode(bytes.subarray(6, 15)) === 'OSMHeader';
+    }
+    
+    /**
+     * Parse an .osm.pbf file
+     *
+     * Ways are read in a first pass over the blocks and only the nodes they reference are kept
+     * in a second pass, so memory use depends on the number of brunnels rather than the extract size.
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Promise<Array>} Bridge and tunnel ways {id, tags, nodes, geometry}
+     */
+    static async parsePBF(bytes) {
+        const { header, blobs } = this.readPBFBlobs(bytes);
+        await this.checkPBFHeader(header);
+        const ways = [];
+        const neededNodes = new Map();
+        
+        for (const blob of blobs) {
+            const block = this.readPrimitiveBlock(await this.decodeBlob(blob), 'ways');
+            for (const way of block.ways) {
+                if (!this.isCandidate(way.tags)) continue;
+                ways.push(way);
+                way.nodes.forEach(id => neededNodes.set(id, null));
+            }
+        }
+        
+        if (ways.length > 0) {
+            for (const blob of blobs) {
+                const block = this.readPrimitiveBlock(await this.decodeBlob(blob), 'nodes');
+                for (const node of block.nodes) {
+                    if (neededNodes.has(node.id)) {
+                        neededNodes.set(node.id, { lat: node.lat, lon: node.lon });
+                    }
+                }
+            }
+        }
+        
+        return ways
+            .map(way => this.createWay(way.id, way.tags, way.nodes, way.nodes.map(id => neededNodes.get(id))))
+            .filter(way => way !== null);
+    }
+    
+    /**
+     * Split a PBF file into its header and data blobs
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object} Encoded Blob messages {header, blobs} of the OSMHeader and OSMData blocks
+     */
+    static readPBFBlobs(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const blobs = [];
+        let pos = 0;
+        let headerBlob = null;
+        
+        while (pos < bytes.length) {
+            const headerLength = view.getUint32(pos);
+            const header = new ProtobufReader(bytes.subarray(pos + 4, pos + 4 + headerLength));
+            pos += 4 + headerLength;
+            
+            let type = null;
+            let dataSize = 0;
+            while (header.hasMore()) {
+                const { field, wireType } = header.readKey();
+                if (field === 1) {
+                    type = new TextDecoder().decode(header.readBytes());
+                } else if (field === 3) {
+                    dataSize = header.readVarint();
+                } else {
+                    header.skip(wireType);
+                }
+            }
+            
+            const blob = bytes.subarray(pos, pos + dataSize);
+            pos += dataSize;
+            
+            if (type === 'OSMHeader') {
+                headerBlob = blob;
+            } else if (type === 'OSMData') {
+                blobs.push(blob);
+            }
+        }
+        
+        if (!headerBlob) {
+            throw new Error('Invalid .osm.pbf file: missing OSMHeader block');
+        }
+        return { header: headerBlob, blobs };
+    }
+    
+    /**
+     * Reject PBF files that need features this reader doesn't support (e.g. history files)
+     * @param {Uint8Array} headerBlob - Encoded Blob message of the OSMHeader block
+     */
+    static async checkPBFHeader(headerBlob) {
+        const reader = new ProtobufReader(await this.decodeBlob(headerBlob));
+        const decoder = new TextDecoder();
+        while (reader.hasMore()) {
+            const { field, wireType } = reader.readKey();
+            if (field === 4) {
+                const feature = decoder.decode(reader.readBytes());
+                if (!this.PBF_FEATURES.includes(feature)) {
+                    throw new Error(`Unsupported .osm.pbf feature: ${feature}`);
+                }
+            } else {
+                reader.skip(wireType);
+            }
+        }
+    }
+    
+    /**
+     * Decompress a PBF Blob message
+     * @param {Uint8Array} blob - Encoded Blob message
+     * @returns {Promise<Uint8Array>} Block contents
+     */
+    static async decodeBlob(blob) {
+        const reader = new ProtobufReader(blob);
+        while (reader.hasMore()) {
+            const { field, wireType } = reader.readKey();
+            if (field === 1) {
+                return reader.readBytes();
+            } else if (field === 3) {
+                return this.inflate(reader.readBytes());
+            } else if (field === 2) {
+                reader.readVarint();
+            } else {
+                throw new Error(`Unsupported .osm.pbf compression (blob field ${field}); only zlib is supported`);
+            }
+        }
+        return new Uint8Array(0);
+    }
+    
+    /**
+     * Decompress zlib data
+     * @param {Uint8Array} bytes - zlib stream
+     * @returns {Promise<Uint8Array>} Decompressed data
+     */
+    static async inflate(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    
+    /**
+     * Read the ways or nodes of a PrimitiveBlock
+     * @param {Uint8Array} bytes - Decompressed PrimitiveBlock
+     * @param {string} wanted - 'ways' or 'nodes'; the other kind of primitive is skipped
+     * @returns {Object} {ways: [{id, tags, nodes}], nodes: [{id, lat, lon}]}
+     */
+    static readPrimitiveBlock(bytes, wanted) {
+        const reader = new ProtobufReader(bytes);
+        const groups = [];
+        let strings = [];
+        let granularity = 100;
+        let latOffset = 0;
+        let lonOffset = 0;
+        
+        while (reader.hasMore()) {
+            const { field, wireType } = reader.readKey();
+            if (field === 1) {
+                strings = this.readStringTable(reader.readBytes());
+            } else if (field === 2) {
+                groups.push(reader.readBytes());
+            } else if (field === 17) {
+                granularity = reader.readVarint();
+            } else if (field === 19) {
+                latOffset = reader.readVarint();
+            } else if (field === 20) {
+                lonOffset = reader.readVarint();
+            } else {
+                reader.skip(wireType);
+            }
+        }
+        
+        const toDegrees = (value, offset) => (offset + granularity * value) * 1e-9;
+        const block = { ways: [], nodes: [] };
+        
+        for (const group of groups) {
+            const groupReader = new ProtobufReader(group);
+            while (groupReader.hasMore()) {
+                const { field, wireType } = groupReader.readKey();
+                if (field === 3 && wanted === 'ways') {
+                    block.ways.push(this.readWay(groupReader.readBytes(), strings));
+                } else if (field === 2 && wanted === 'nodes') {
+                    const dense = this.readDenseNodes(groupReader.readBytes());
+                    for (let i = 0; i < dense.ids.length; i++) {
+                        block.nodes.push({
+                            id: dense.ids[i],
+                            lat: toDegrees(dense.lats[i], latOffset),
+                            lon: toDegrees(dense.lons[i], lonOffset)
+                        });
+                    }
+                } else if (field === 1 && wanted === 'nodes') {
+                    const node = this.readNode(groupReader.readBytes());
+                    block.nodes.push({
+                        id: node.id,
+                        lat: toDegrees(node.lat, latOffset),
+                        lon: toDegrees(node.lon, lonOffset)
+                    });
+                } else {
+                    groupReader.skip(wireType);
+                }
+            }
+        }
+        
+        return block;
+    }
+    
+    /**
+     * Read a PBF StringTable
+     * @param {Uint8Array} bytes - Encoded StringTable
+     * @returns {Array} Strings
+     */
+    static readStringTable(bytes) {
+        const reader = new ProtobufReader(bytes);
+        const decoder = new TextDecoder();
+        const strings = [];
+        while (reader.hasMore()) {
+            const { field, wireType } = reader.readKey();
+            if (field === 1) {
+                strings.push(decoder.decode(reader.readBytes()));
+            } else {
+                reader.skip(wireType);
+            }
+        }
+        return strings;
+    }
+    
+    /**
+     * Read a PBF Way
+     * @param {Uint8Array} bytes - Encoded Way
+     * @param {Array} strings - Block string table
+     * @returns {Object} {id, tags, nodes}
+     */
+    static readWay(bytes, strings) {
+        const reader = new ProtobufReader(bytes);
+        let id = 0;
+        let keys = [];
+        let values = [];
+        let refs = [];
+        
+        while (reader.hasMore()) {
+            const { field, wireType } = reader.readKey();
+            if (field === 1) {
+                id = reader.readVarint();
+            } else if (field === 2) {
+                keys = reader.readPacked();
+            } else if (field === 3) {
+                values = reader.readPacked();
+            } else if (field === 8) {
+                refs = reader.readPacked(true);
+            } else {
+                reader.skip(wireType);
+            }
+        }
+        
+        const tags = {};
+        keys.forEach((key, i) => {
+            tags[strings[key]] = strings[values[i]];
+        });
+        
+        // Node references are delta-encoded
+        const nodes = [];
+        let ref = 0;
+        for (const delta of refs) {
+            ref += delta;
+            nodes.push(ref);
+        }
+        
+        return { id, tags, nodes };
+    }
+    
+    /**
+     * Read a PBF Node (files without DenseNodes)
+     * @param {Uint8Array} bytes - Encoded Node
+     * @returns {Object} {id, lat, lon} in block units
+     */
+    static readNode(bytes) {
+        const reader = new ProtobufReader(bytes);
+        const node = { id: 0, lat: 0, lon: 0 };
+        while (reader.hasMore()) {
+            const { field, wireType } = reader.readKey();
+            if (field === 1) {
+                node.id = reader.readSignedVarint();
+            } else if (field === 8) {
+                node.lat = reader.readSignedVarint();
+            } else if (field === 9) {
+                node.lon = reader.readSignedVarint();
+            } else {
+                reader.skip(wireType);
+            }
+        }
+        return node;
+    }
+    
+    /**
+     * Read PBF DenseNodes
+     * @param {Uint8Array} bytes - Encoded DenseNodes
+     * @returns {Object} {ids, lats, lons} in block units, with the delta encoding removed
+     */
+    static readDenseNodes(bytes) {
+        const reader = new ProtobufReader(bytes);
+        let ids = [];
+        let lats = [];
+        let lons = [];
+        
+        while (reader.hasMore()) {
+            const { field, wireType } = reader.readKey();
+            if (field === 1) {
+                ids = reader.readPacked(true);
+            } else if (field === 8) {
+                lats = reader.readPacked(true);
+            } else if (field === 9) {
+                lons = reader.readPacked(true);
+            } else {
+                reader.skip(wireType);
+            }
+        }
+        
+        for (let i = 1; i < ids.length; i++) {
+            ids[i] += ids[i - 1];
+            lats[i] += lats[i - 1];
+            lons[i] += lons[i - 1];
+        }
+        
+        return { ids, lats, lons };
+    }
+    
+    /**
+     * Create a way with geometry, dropping nodes that are missing from the extract
+     * @param {number} id - Way ID
+     * @param {Object} tags - OSM tags
+     * @param {Array} nodeIds - Node IDs
+     * @param {Array} points - Node locations {lat, lon} (undefined or null when missing)
+     * @returns {Object|null} Way {id, tags, nodes, geometry}, or null with fewer than two known nodes
+     */
+    static createWay(id, tags, nodeIds, points) {
+        const nodes = [];
+        const geometry = [];
+        
+        // Extracts cut at a boundary keep ways whole but drop the nodes outside it
+        points.forEach((point, i) => {
+            if (point) {
+                nodes.push(nodeIds[i]);
+                geometry.push({ lat: point.lat, lon: point.lon });
+            }
+        });
+        
+        return geometry.length >= 2 ? { id, tags, nodes, geometry } : null;
+    }
+    
+    /**
+     * Select bridges and tunnels near a route, as a bounding box Overpass query would
+     * @param {Object} extract - Parsed extract from parse()
+     * @param {Object} bounds - Bounding box {minLat, maxLat, minLon, maxLon}
+     * @param {Object} options - Query options {profile, includeNoAccess, includeWaterways, includeActiveRailways}
+     * @returns {Object} Brunnel data {bridges, tunnels}, as from OverpassAPI.processOverpassData()
+     */
+    static queryBrunnels(extract, bounds, options = {}) {
+        const elements = [];
+        
+        // Same layout as the Overpass response: a count, then the ways, for bridges and then tunnels
+        for (const type of ['bridge', 'tunnel']) {
+            const ways = extract.ways.filter(way =>
+                this.matchesQuery(way, type, options) && this.intersectsBounds(way.geometry, bounds)
+            );
+            elements.push({ type: 'count', id: 0, tags: { ways: String(ways.length) } });
+            elements.push(...ways.map(way => ({ type: 'way', ...way })));
+        }
+        
+        return OverpassAPI.processOverpassData({ elements });
+    }
+    
+    /**
+     * Check a way against the tag rules of OverpassAPI.buildOverpassQuery()
+     * @param {Object} way - Way {tags, nodes, geometry}
+     * @param {string} type - 'bridge' or 'tunnel'
+     * @param {Object} options - Query options {profile, includeNoAccess, includeWaterways, includeActiveRailways}
+     * @returns {boolean} True if the query would return the way
+     */
+    static matchesQuery(way, type, options = {}) {
+        const { includeNoAccess = false, includeWaterways = false, includeActiveRailways = false } = options;
+        const profile = OverpassAPI.getProfile(options.profile);
+        const tags = way.tags;
+        
+        if (!(type in tags) || this.isClosed(way)) {
+            return false;
+        }
+        
+        // The profile's own highway types (e.g. cycleways) are queried separately, without the other filters
+        if (profile.includedHighways.includes(tags.highway)) {
+            return true;
+        }
+        if (!includeWaterways && 'waterway' in tags) {
+            return false;
+        }
+        if (!includeNoAccess && tags[profile.accessTag] === 'no') {
+            return false;
+        }
+        if (profile.excludedHighways.includes(tags.highway)) {
+            return false;
+        }
+        if (!includeActiveRailways && OverpassAPI.ACTIVE_RAILWAY_TYPES.includes(tags.railway)) {
+            return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Check whether a way is closed, like Overpass is_closed()
+     * @param {Object} way - Way {nodes}
+     * @returns {boolean} True if the first and last nodes are the same
+     */
+    static isClosed(way) {
+        return way.nodes.length > 2 && way.nodes[0] === way.nodes[way.nodes.length - 1];
+    }
+    
+    /**
+     * Check whether a line touches a bounding box, like the Overpass bbox filter
+     * @param {Array} geometry - Line points [{lat, lon}, ...]
+     * @param {Object} bounds - Bounding box {minLat, maxLat, minLon, maxLon}
+     * @returns {boolean} True if any point is inside the box or any segment crosses it
+     */
+    static intersectsBounds(geometry, bounds) {
+        const inside = point => point.lat >= bounds.minLat && point.lat <= bounds.maxLat &&
+            point.lon >= bounds.minLon && point.lon <= bounds.maxLon;
+        
+        if (geometry.some(inside)) {
+            return true;
+        }
+        
+        // Clip each segment against the box (Liang-Barsky)
+        for (let i = 1; i < geometry.length; i++) {
+            const start = geometry[i - 1];
+            const dLon = geometry[i].lon - start.lon;
+            const dLat = geometry[i].lat - start.lat;
+            let tMin = 0;
+            let tMax = 1;
+            const edges = [
+                [-dLon, start.lon - bounds.minLon],
+                [dLon, bounds.maxLon - start.lon],
+                [-dLat, start.lat - bounds.minLat],
+                [dLat, bounds.maxLat - start.lat]
+            ];
+            
+            let crosses = true;
+            for (const [p, q] of edges) {
+                if (p === 0) {
+                    if (q < 0) {
+                        crosses = false;
+                        break;
+                    }
+                    continue;
+                }
+                const t = q / p;
+                if (p < 0) {
+                    tMin = Math.max(tMin, t);
+                } else {
+                    tMax = Math.min(tMax, t);
+                }
+                if (tMin > tMax) {
+                    crosses = false;
+                    break;
+                }
+            }
+            if (crosses) {
+                return true;
+            }
+        }
+        
+        return false;
+    }
+}
@@ -5,6 +5,73 @@ class OverpassAPI {
     static OVERPASS_URL = 'https://overpass-api.de/api/interpreter';
     static PROXY_URL = 'http://localhost:3001/api/interpreter';
     
+    /**
+     * Public Overpass instances, tried in order when the previous one keeps failing
+     */
+    static ENDPOINTS = [
+        'https://overpass-api.de/api/interpreter',
+        'https://overpass.kumi.systems/api/interpreter',
+        'https://overpass.private.coffee/api/interpreter'
+    ];
+    
+    static MAX_ATTEMPTS = 3; // Attempts per endpoint
+    static RETRY_BASE_DELAY = 2000; // Milliseconds before the first retry; doubles with each attempt
+    static RETRY_MAX_DELAY = 60000; // Longer waits (e.g. from Retry-After) move on to the next endpoint instead
+    static CHUNK_CONCURRENCY = 3; // Chunk queries of long routes in flight at once
+    
+    /**
+     * Railway types excluded from the results unless includeActiveRailways is set
+     */
+    static ACTIVE_RAILWAY_TYPES = [
+        'rail', 'light_rail', 'subway', 'tram', 'narrow_gauge', 'funicular', 'monorail', 'miniature', 'preserved'
+    ];
+    
+    /**
+     * Activity profiles. Ways whose accessTag is "no" are excluded, ways with one of the
+     * includedHighways types are always returned (even with the access tag or a waterway),
+     * and ways with one of the excludedHighways types are never returned
+     */
+    static PROFILES = {
+        cycling: { accessTag: 'bicycle', includedHighways: ['cycleway'], excludedHighways: [] },
+        walking: { accessTag: 'foot', includedHighways: ['footway', 'path', 'pedestrian', 'steps'], excludedHighways: [] },
+        driving: {
+            accessTag: 'motor_vehicle',
+            includedHighways: [],
+            excludedHighways: ['footway', 'cycleway', 'path', 'pedestrian', 'steps', 'bridleway']
+        }
+    };
+    static DEFAULT_PROFILE = 'cycling';
+    
+    /**
+     * Query modes: 'bbox' queries the route's bounding box, 'corridor' a simplified polygon around the route
+     */
+    static QUERY_MODES = ['bbox', 'corridor'];
+    static CORRIDOR_TOLERANCE = 25; // Meters the route and corridor outline may move when simplified
+    static CORRIDOR_MAX_POINTS = 400; // Corridor outlines with more points are simplified further
+    static CORRIDOR_CHUNK_KM = 200; // Route length covered by each corridor of a long route
+    static CORRIDOR_BUFFER_STEPS = 4; // Segments per quarter circle in the corridor's rounded corners and ends
+    
+    /**
+     * Get the interpreter URL of the caching proxy when it is serving this page (proxy-server.js --serve-app),
+     * which it announces in a <meta name="brunnels-proxy"> tag
+     * @returns {string|null} Absolute URL, or null if the page comes from another server or there is no page
+     */
+    static getSameOriginProxyUrl() {
+        if (typeof document === 'undefined') {
+            return null;
+        }
+        const meta = document.querySelector('meta[name="brunnels-proxy"]');
+        return meta ? new URL(meta.content, document.baseURI).href : null;
+    }
+    
+    /**
+     * Get the interpreter URL of the local caching proxy
+     * @returns {string} The proxy serving this page, or PROXY_URL
+     */
+    static getProxyUrl() {
+        return this.getSameOriginProxyUrl() || this.PROXY_URL;
+    }
+    
     /**
      * Check if the local caching proxy is available
      * @returns {Promise<boolean>} True if proxy is available
@@ -22,17 +89,91 @@ class OverpassAPI {
     }
     
     /**
-     * Get the appropriate endpoint URL (proxy if available, otherwise direct)
-     * @returns {Promise<string>} URL to use for requests
+     * Get the totals and hit/miss counters of the local proxy's cache
+     * @returns {Promise<Object|null>} {entries, queries, tiles, size, stats, maxAge, tileSize},
+     *     or null if the proxy isn't running
      */
-    static async getEndpointUrl() {
+    static async getProxyCacheStatus() {
+        try {
+            const response = await fetch(new URL('/api/cache', this.getProxyUrl()));
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Get the map tile sources the local proxy serves from MBTiles files (proxy-server.js --mbtiles)
+     * @returns {Promise<Array>} Tile sources [{name, url, attribution, maxZoom}, ...] (see
+     *     MapVisualization.TILE_SOURCES); empty if the proxy isn't running or serves no tiles
+     */
+    static async getProxyTileSources() {
+        try {
+            const origin = new URL(this.getProxyUrl()).origin;
+            const response = await fetch(`${origin}/tiles`);
+            if (!response.ok) {
+                return [];
+            }
+            
+            // URL templates are paths on the proxy; the {z}/{x}/{y} placeholders must stay unencoded
+            const { tilesets } = await response.json();
+            return tilesets.map(tileset => ({
+                name: tileset.name,
+                url: origin + tileset.url,
+                attribution: tileset.attribution,
+                maxZoom: tileset.maxZoom
+            }));
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    /**
+     * Purge cached Overpass data from the local proxy, so it is fetched again on the next query
+     * @param {Object} bounds - Bounding box {minLat, maxLat, minLon, maxLon} the purged entries
+     *     intersect; null to purge the whole cache
+     * @returns {Promise<number>} Number of entries purged
+     */
+    static async purgeProxyCache(bounds = null) {
+        const url = new URL('/api/cache/entries', this.getProxyUrl());
+        if (bounds) {
+            url.searchParams.set('bbox', [bounds.minLat, bounds.minLon, bounds.maxLat, bounds.maxLon].join(','));
+        }
+        
+        const response = await fetch(url, { method: 'DELETE' });
+        if (!response.ok) {
+            throw new Error(`Proxy cache purge failed: ${response.status} ${response.statusText}`);
+        }
+        return (await response.json()).purged;
+    }
+    
+    /**
+     * Get the endpoints to try, in order
+     * @param {Array} endpoints - Configured endpoint URLs; when empty, the local proxy (if available)
+     *     followed by the public ENDPOINTS
+     * @param {string} proxyUrl - Interpreter URL of a proxy known to be running, e.g. the one serving the
+     *     app (see getSameOriginProxyUrl; Web Workers have no page to look in, so they are passed it)
+     * @returns {Promise<Array>} URLs to use for requests
+     */
+    static async getEndpoints(endpoints = null, proxyUrl = null) {
+        if (endpoints && endpoints.length > 0) {
+            return endpoints;
+        }
+        
+        // A proxy on the page's own origin needs no cross-origin probe
+        const sameOriginProxyUrl = proxyUrl || this.getSameOriginProxyUrl();
+        if (sameOriginProxyUrl) {
+            console.log('✓ Using the caching proxy serving this app for Overpass API requests');
+            return [sameOriginProxyUrl, ...this.ENDPOINTS];
+        }
+        
         const proxyAvailable = await this.isProxyAvailable();
         if (proxyAvailable) {
             console.log('✓ Using local caching proxy for Overpass API requests');
-            return this.PROXY_URL;
+            return [this.PROXY_URL, ...this.ENDPOINTS];
         } else {
             console.log('⚠ Local proxy not available, using direct Overpass API (may hit rate limits)');
-            return this.OVERPASS_URL;
+            return this.ENDPOINTS;
         }
     }
     
@@ -40,52 +181,249 @@ class OverpassAPI {
      * Query bridges and tunnels near a route
      * @param {Object} bounds - Bounding box {minLat, maxLat, minLon, maxLon}
      * @param {Object} options - Query options
+     * @param {string} options.profile - Activity profile (key of PROFILES, default: cycling)
+     * @param {Object} options.corridor - Optional corridor from buildCorridor(); when given, only the
+     *     corridor is queried instead of the bounding box
      * @returns {Promise<Object>} OpenStreetMap data
      */
     static async queryBrunnels(bounds, options = {}) {
         const {
             timeout = 30,
-            includeBicycleNo = false,
+            profile = this.DEFAULT_PROFILE,
+            includeNoAccess = false,
             includeWaterways = false,
-            includeActiveRailways = false
+            includeActiveRailways = false,
+            fetchOverpass = null,
+            signal = null,
+            endpoints = null,
+            proxyUrl = null,
+            maxAttempts = this.MAX_ATTEMPTS,
+            retryDelay = this.RETRY_BASE_DELAY,
+            onStatus = null,
+            corridor = null
         } = options;
         
-        const query = this.buildOverpassQuery(bounds, {
+        const query = this.buildOverpassQuery(corridor ? corridor.bounds : bounds, {
             timeout,
-            includeBicycleNo,
+            profile,
+            includeNoAccess,
             includeWaterways,
-            includeActiveRailways
+            includeActiveRailways,
+            corridor
         });
         
-        try {
-            const endpointUrl = await this.getEndpointUrl();
-            const response = await fetch(endpointUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                },
-                body: `data=${encodeURIComponent(query)}`
-            });
-            
-            if (!response.ok) {
-                throw new Error(`Overpass API error: ${response.status} ${response.statusText}`);
+        // Allow callers (tests, other tools) to supply their own transport
+        const data = fetchOverpass
+            ? await fetchOverpass(query)
+            : await this.fetchQuery(query, { signal, endpoints, proxyUrl, maxAttempts, retryDelay, onStatus });
+        return this.processOverpassData(data);
+    }
+    
+    /**
+     * Send an Overpass QL query over HTTP, retrying rate-limited and failed requests with
+     * exponential backoff and failing over to the next endpoint
+     * @param {string} query - Overpass QL query
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Optional signal to cancel the request
+     * @param {Array} options.endpoints - Endpoint URLs to try in order (see getEndpoints)
+     * @param {string} options.proxyUrl - Interpreter URL of a proxy known to be running (see getEndpoints)
+     * @param {number} options.maxAttempts - Attempts per endpoint
+     * @param {number} options.retryDelay - Milliseconds before the first retry
+     * @param {Function} options.onStatus - ({message, endpoint, attempt, maxAttempts}) => void
+     * @returns {Promise<Object>} Raw Overpass JSON response, plus staleDate (ISO 8601) when the caching
+     *     proxy served expired data (see proxy-server.js --stale-while-revalidate and --stale-if-error)
+     */
+    static async fetchQuery(query, options = {}) {
+        const {
+            signal = null,
+            maxAttempts = this.MAX_ATTEMPTS,
+            retryDelay = this.RETRY_BASE_DELAY,
+            onStatus = null
+        } = options;
+        const endpoints = await this.getEndpoints(options.endpoints, options.proxyUrl);
+        let lastError = null;
+        
+        const reportStatus = (message, endpoint, attempt) => {
+            console.log(message);
+            if (onStatus) {
+                onStatus({ message, endpoint, attempt, maxAttempts });
             }
+        };
+        
+        for (const endpoint of endpoints) {
+            const host = this.getEndpointLabel(endpoint);
             
-            const data = await response.json();
-            return this.processOverpassData(data);
+            for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+                reportStatus(`Querying ${host} (attempt ${attempt}/${maxAttempts})...`, endpoint, attempt);
+                
+                let response;
+                try {
+                    response = await fetch(endpoint, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/x-www-form-urlencoded',
+                        },
+                        body: `data=${encodeURIComponent(query)}`,
+                        signal
+                    });
+                } catch (error) {
+                    if (error.name === 'AbortError') {
+                        if (signal && signal.aborted) {
+                            throw error;
+                        }
+                        throw new Error('Request timed out. Try increasing the timeout or reducing the search area.');
+                    }
+                    // Network failure (endpoint down, DNS, CORS): worth retrying like a 5xx
+                    response = null;
+                    lastError = new Error(`${host}: ${error.message}`);
+                }
+                
+                if (response && response.ok) {
+                    const data = await response.json();
+                    // The caching proxy dates the data it serves from an expired entry
+                    const cacheDate = response.headers.get('X-Cache-Date');
+                    if (cacheDate) {
+                        data.staleDate = new Date(cacheDate).toISOString();
+                    }
+                    return data;
+                }
+                
+                let delay = retryDelay * 2 ** (attempt - 1);
+                if (response) {
+                    // Release the connection before retrying
+                    await response.text().catch(() => {});
+                    lastError = new Error(`Overpass API error: ${response.status} ${response.statusText} from ${host}`);
+                    
+                    if (!this.isRetryableStatus(response.status)) {
+                        throw lastError;
+                    }
+                    
+                    const retryAfter = this.parseRetryAfter(response.headers.get('Retry-After'));
+                    if (retryAfter !== null) {
+                        delay = retryAfter;
+                    }
+                }
+                
+                if (attempt === maxAttempts || delay > this.RETRY_MAX_DELAY) {
+                    reportStatus(`⚠ ${lastError.message}; giving up on ${host}`, endpoint, attempt);
+                    break;
+                }
+                
+                reportStatus(
+                    `⚠ ${lastError.message}; retrying ${host} in ${(delay / 1000).toFixed(delay < 10000 ? 1 : 0)}s ` +
+                    `(attempt ${attempt + 1}/${maxAttempts})...`,
+                    endpoint,
+                    attempt
+                );
+                await this.sleep(delay, signal);
+            }
+        }
+        
+        throw new Error(`All Overpass endpoints failed. Last error: ${lastError ? lastError.message : 'no endpoints configured'}`);
+    }
+    
+    /**
+     * Check whether an HTTP status is worth retrying (rate limiting and server errors)
+     * @param {number} status - HTTP status code
+     * @returns {boolean} True for 429 and 5xx
+     */
+    static isRetryableStatus(status) {
+        return status === 429 || status >= 500;
+    }
+    
+    /**
+     * Parse a Retry-After header
+     * @param {string|null} value - Header value: seconds or an HTTP date
+     * @returns {number|null} Delay in milliseconds, or null if absent or invalid
+     */
+    static parseRetryAfter(value) {
+        if (!value) {
+            return null;
+        }
+        
+        if (/^\d+$/.test(value.trim())) {
+            return parseInt(value, 10) * 1000;
+        }
+        
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+    
+    /**
+     * Get a short label for an endpoint, for status messages
+     * @param {string} endpoint - Endpoint URL
+     * @returns {string} Host name (with port), or the URL if it can't be parsed
+     */
+    static getEndpointLabel(endpoint) {
+        try {
+            return new URL(endpoint).host;
         } catch (error) {
-            if (error.name === 'AbortError') {
-                throw new Error('Request timed out. Try increasing the timeout or reducing the search area.');
+            return endpoint;
+        }
+    }
+    
+    /**
+     * Wait before retrying
+     * @param {number} ms - Delay in milliseconds
+     * @param {AbortSignal} signal - Optional signal that cuts the wait short
+     * @returns {Promise<void>} Resolves after the delay; rejects with the abort reason if cancelled
+     */
+    static sleep(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+            
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, ms);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
             }
-            throw error;
+        });
+    }
+    
+    /**
+     * Get an activity profile by name
+     * @param {string} name - Key of PROFILES; null for the default profile
+     * @returns {Object} Profile {accessTag, includedHighways, excludedHighways}
+     */
+    static getProfile(name = null) {
+        const profile = this.PROFILES[name || this.DEFAULT_PROFILE];
+        if (!profile) {
+            throw new Error(`Unknown activity profile: ${name}`);
         }
+        return profile;
     }
     
     /**
-     * Build Overpass QL query for bridges and tunnels - matches Python implementation exactly
+     * Build an Overpass tag filter matching a list of highway types
+     * @param {Array} highways - Highway types
+     * @param {boolean} negate - Match ways without one of the types instead
+     * @returns {string} Filter such as [highway=cycleway] or [highway!~"^(footway|path)$"]
+     */
+    static buildHighwayFilter(highways, negate = false) {
+        if (highways.length === 1) {
+            return `[highway${negate ? '!=' : '='}${highways[0]}]`;
+        }
+        return `[highway${negate ? '!~' : '~'}"^(${highways.join('|')})$"]`;
+    }
+    
+    /**
+     * Build Overpass QL query for bridges and tunnels - matches Python implementation exactly for the cycling profile
+     * With options.corridor, every statement is also limited to the corridor polygon with a poly: filter
      */
     static buildOverpassQuery(bounds, options) {
-        const { timeout, includeBicycleNo, includeWaterways, includeActiveRailways } = options;
+        const { timeout, includeNoAccess, includeWaterways, includeActiveRailways, corridor = null } = options;
+        const profile = this.getProfile(options.profile);
         const south = bounds.minLat;
         const west = bounds.minLon;
         const north = bounds.maxLat;
@@ -96,76 +434,201 @@ class OverpassAPI {
         if (!includeWaterways) {
             baseFilters += '[!waterway]';
         }
-        if (!includeBicycleNo) {
-            baseFilters += '["bicycle"!="no"]';
+        if (!includeNoAccess) {
+            baseFilters += `["${profile.accessTag}"!="no"]`;
         }
+        if (profile.excludedHighways.length > 0) {
+            baseFilters += this.buildHighwayFilter(profile.excludedHighways, true);
+        }
+        
+        // The bbox setting still applies in corridor mode, so the poly: filter only narrows it
+        const areaFilter = corridor ? this.buildPolyFilter(corridor.ring) : '';
         
         // Build railway exclusions exactly like Python
         let bridgeRailwayExclusion = '';
         let tunnelRailwayExclusion = '';
         
         if (!includeActiveRailways) {
-            const activeRailwayTypes = 'rail|light_rail|subway|tram|narrow_gauge|funicular|monorail|miniature|preserved';
-            const railwayExclusion = `["railway"~"^(${activeRailwayTypes})$"]${baseFilters}(if:!is_closed());`;
+            const activeRailwayTypes = this.ACTIVE_RAILWAY_TYPES.join('|');
+            const railwayExclusion = `["railway"~"^(${activeRailwayTypes})$"]${baseFilters}${areaFilter}(if:!is_closed());`;
             bridgeRailwayExclusion = `\n  - way[bridge]${railwayExclusion}`;
             tunnelRailwayExclusion = `\n  - way[tunnel]${railwayExclusion}`;
         }
         
+        // Highway types the profile always includes, such as cycleways for cycling
+        let bridgeHighways = '';
+        let tunnelHighways = '';
+        
+        if (profile.includedHighways.length > 0) {
+            const highwayFilter = `${this.buildHighwayFilter(profile.includedHighways)}${areaFilter}(if:!is_closed());`;
+            bridgeHighways = `\n  way[bridge]${highwayFilter}`;
+            tunnelHighways = `\n  way[tunnel]${highwayFilter}`;
+        }
+        
         // Build complete query exactly like Python
         return `[out:json][timeout:${timeout}][bbox:${south},${west},${north},${east}];
 (
   (
-    way[bridge]${baseFilters}(if:!is_closed());${bridgeRailwayExclusion}
-  );
-  way[bridge][highway=cycleway](if:!is_closed());
+    way[bridge]${baseFilters}${areaFilter}(if:!is_closed());${bridgeRailwayExclusion}
+  );${bridgeHighways}
 );
 out count;
 out geom qt;
 (
   (
-    way[tunnel]${baseFilters}(if:!is_closed());${tunnelRailwayExclusion}
-  );
-  way[tunnel][highway=cycleway](if:!is_closed());
+    way[tunnel]${baseFilters}${areaFilter}(if:!is_closed());${tunnelRailwayExclusion}
+  );${tunnelHighways}
 );
 out count;
 out geom qt;`;
     }
     
     /**
-     * Process Overpass API response data - matches Python implementation exactly
+     * Build an Overpass poly: filter from a polygon ring
+     * @param {Array} ring - Polygon outline [[lat, lon], ...]
+     * @returns {string} Filter such as (poly:"50.7 7.1 50.7 7.2 50.8 7.2")
+     */
+    static buildPolyFilter(ring) {
+        const points = ring.map(([lat, lon]) => `${lat.toFixed(6)} ${lon.toFixed(6)}`);
+        return `(poly:"${points.join(' ')}")`;
+    }
+    
+    /**
+     * Build a simplified corridor polygon around a route for poly: queries
+     *
+     * Simplifying the route and then the buffer outline each move the boundary by up to the
+     * simplification tolerance, so the buffer is widened by twice the tolerance. Its rounded
+     * corners and ends are made of chords that cut inside the true arc by up to 1 - cos(half the
+     * chord angle) of the radius, so the radius is divided by that cosine as well; the corridor
+     * therefore still contains everything within bufferMeters of the original route.
+     * @param {Array} routeCoords - Route coordinates
+     * @param {number} bufferMeters - Query buffer in meters
+     * @returns {Object|null} Corridor {ring: [[lat, lon], ...], bounds, areaSqKm, bboxAreaSqKm}, or null
+     *     if no single polygon could be built or it isn't smaller than the bounding box (which is used instead)
+     */
+    static buildCorridor(routeCoords, bufferMeters) {
+        const line = turf.lineString(routeCoords.map(coord => [coord.lon, coord.lat]));
+        let tolerance = this.CORRIDOR_TOLERANCE;
+        let outline = null;
+        
+        // Coarsen the outline until it is short enough to send in every statement of the query
+        do {
+            // Degrees of latitude; never more than the same distance in meters along a parallel
+            const toleranceDegrees = tolerance / 111000.0;
+            const simplified = turf.simplify(line, { tolerance: toleranceDegrees });
+            
+            // Corners get a whole number of chords, rounded to the nearest, so one chord may span
+            // up to 1.5 times the angle of a quarter circle's chords
+            const chordAngle = 1.5 * (Math.PI / 2) / this.CORRIDOR_BUFFER_STEPS;
+            const radiusMeters = (bufferMeters + 2 * tolerance) / Math.cos(chordAngle / 2);
+            const buffer = turf.buffer(simplified, radiusMeters / 1000, {
+                units: 'kilometers',
+                steps: this.CORRIDOR_BUFFER_STEPS
+            });
+            if (!buffer || buffer.geometry.type !== 'Polygon') {
+                console.log('⚠ Could not build a query corridor, using the bounding box');
+                return null;
+            }
+            
+            // Only the outer ring: holes (inside loops) can't be expressed in a poly: filter
+            outline = turf.simplify(turf.polygon([buffer.geometry.coordinates[0]]), { tolerance: toleranceDegrees });
+            tolerance *= 2;
+        } while (outline.geometry.coordinates[0].length > this.CORRIDOR_MAX_POINTS);
+        
+        const areaSqKm = turf.area(outline) / 1e6;
+        const routeBounds = GeometryUtils.expandBounds(GeometryUtils.calculateBounds(routeCoords), bufferMeters);
+        const bboxAreaSqKm = this.getAreaSqKm(routeBounds);
+        
+        // Routes running along a meridian or parallel have slim bounding boxes that the widened corridor can't beat
+        if (areaSqKm >= bboxAreaSqKm) {
+            console.log('Bounding box is smaller than the query corridor, using the bounding box');
+            return null;
+        }
+        
+        const [minLon, minLat, maxLon, maxLat] = turf.bbox(outline);
+        const ring = outline.geometry.coordinates[0].slice(0, -1).map(([lon, lat]) => [lat, lon]);
+        
+        return {
+            ring,
+            bounds: { minLat, minLon, maxLat, maxLon },
+            areaSqKm,
+            bboxAreaSqKm
+        };
+    }
+    
+    /**
+     * Approximate the area of a bounding box
+     * @param {Object} bounds - Bounding box {minLat, maxLat, minLon, maxLon}
+     * @returns {number} Area in square kilometers
+     */
+    static getAreaSqKm(bounds) {
+        const latDiff = bounds.maxLat - bounds.minLat;
+        const lonDiff = bounds.maxLon - bounds.minLon;
+        const avgLat = (bounds.maxLat + bounds.minLat) / 2;
+        const latKm = latDiff * 111.0;
+        const lonKm = lonDiff * 111.0 * Math.abs(Math.cos(avgLat * Math.PI / 180));
+        return latKm * lonKm;
+    }
+    
+    /**
+     * Describe the area a corridor query saves against a bounding box query
+     * @param {number} areaSqKm - Corridor area in square kilometers
+     * @param {number} bboxAreaSqKm - Bounding box area in square kilometers
+     * @returns {string} Log message
+     */
+    static describeAreaSaved(areaSqKm, bboxAreaSqKm) {
+        const saved = bboxAreaSqKm > 0 ? (1 - areaSqKm / bboxAreaSqKm) * 100 : 0;
+        return `${areaSqKm.toFixed(1)} sq km corridor instead of ${bboxAreaSqKm.toFixed(1)} sq km bounding box ` +
+            `(${saved.toFixed(1)}% less area)`;
+    }
+    
+    /**
+     * Process Overpass API response data
+     * Each way is classified from its own bridge=* and tunnel=* tags rather than from its position
+     * in the response, so the count elements and the order of the query's output sets don't matter
+     * @param {Object} data - Overpass JSON response
+     * @returns {Object} Brunnel data {bridges, tunnels, staleDate}; staleDate (ISO 8601) is when the
+     *     data was fetched if the proxy served it from an expired cache entry, otherwise null
      */
     static processOverpassData(data) {
         const brunnels = {
             bridges: [],
-            tunnels: []
+            tunnels: [],
+            staleDate: data.staleDate || null
         };
         
         if (!data.elements) {
             return brunnels;
         }
         
-        let currentType = null;
+        // A way tagged as both a bridge and a tunnel is listed under each, but only once
+        const seen = { bridge: new Set(), tunnel: new Set() };
         
         data.elements.forEach(element => {
-            if (element.type === 'count') {
-                // First count is bridges, second count is tunnels
-                currentType = currentType === 'bridges' ? 'tunnels' : 'bridges';
-            } else if (element.type === 'way' && element.geometry) {
+            if (element.type !== 'way' || !element.geometry) {
+                return;
+            }
+            
+            const tags = element.tags || {};
+            for (const type of this.getStructureTypes(tags)) {
+                if (seen[type].has(element.id)) continue;
+                seen[type].add(element.id);
+                
                 const brunnel = {
                     id: element.id,
-                    tags: element.tags || {},
+                    tags,
                     geometry: element.geometry.map(node => ({
                         lat: node.lat,
                         lon: node.lon
                     })),
                     nodes: element.nodes || [], // Store node IDs for compound detection
-                    type: currentType === 'bridges' ? 'bridge' : 'tunnel',
-                    name: this.extractName(element.tags)
+                    type,
+                    name: this.extractName(tags, type)
                 };
                 
-                if (currentType === 'bridges') {
+                if (type === 'bridge') {
                     brunnels.bridges.push(brunnel);
-                } else if (currentType === 'tunnels') {
+                } else {
                     brunnels.tunnels.push(brunnel);
                 }
             }
@@ -174,11 +637,23 @@ out geom qt;`;
         return brunnels;
     }
     
+    /**
+     * Get the structure types a way is tagged with
+     * @param {Object} tags - OSM tags
+     * @returns {Array} 'bridge' and/or 'tunnel' (bridge=no and tunnel=no don't count)
+     */
+    static getStructureTypes(tags) {
+        return ['bridge', 'tunnel'].filter(type => tags[type] !== undefined && tags[type] !== 'no');
+    }
+    
     
     /**
      * Extract human-readable name from OSM tags
+     * @param {Object} tags - OSM tags
+     * @param {string} structureType - 'bridge' or 'tunnel' (guessed from the tags if not given)
+     * @returns {string} Name
      */
-    static extractName(tags) {
+    static extractName(tags, structureType = null) {
         // Try various name tags in order of preference
         const nameKeys = ['name', 'name:en', 'ref', 'bridge:name', 'tunnel:name'];
         
@@ -189,7 +664,7 @@ out geom qt;`;
         }
         
         // Generate descriptive name from tags
-        const type = tags.bridge ? 'Bridge' : 'Tunnel';
+        const type = (structureType || this.getStructureTypes(tags)[0]) === 'tunnel' ? 'Tunnel' : 'Bridge';
         
         if (tags.highway) {
             return `${type} (${tags.highway})`;
@@ -285,15 +760,55 @@ out geom qt;`;
         return chunks;
     }
     
+    /**
+     * Break route into consecutive pieces of CORRIDOR_CHUNK_KM, each with its own query corridor
+     * @param {Array} routeCoords - Route coordinates
+     * @param {number} bufferMeters - Query buffer in meters
+     * @returns {Array} Array of {startIdx, endIdx, bounds, corridor} objects for each chunk
+     */
+    static chunkRouteForCorridors(routeCoords, bufferMeters = 10.0) {
+        const cumulativeDistances = GeometryUtils.calculateCumulativeDistances(routeCoords);
+        const chunkMeters = this.CORRIDOR_CHUNK_KM * 1000;
+        const chunks = [];
+        let startIdx = 0;
+        
+        for (let i = 1; i < routeCoords.length; i++) {
+            if (cumulativeDistances[i] - cumulativeDistances[startIdx] < chunkMeters && i < routeCoords.length - 1) {
+                continue;
+            }
+            
+            // Consecutive chunks share their boundary point, so their corridors overlap
+            const chunkCoords = routeCoords.slice(startIdx, i + 1);
+            const corridor = this.buildCorridor(chunkCoords, bufferMeters);
+            const bounds = corridor
+                ? corridor.bounds
+                : GeometryUtils.expandBounds(GeometryUtils.calculateBounds(chunkCoords), bufferMeters);
+            chunks.push({ startIdx, endIdx: i, bounds, corridor });
+            
+            console.log(
+                `Chunk ${chunks.length}: points ${startIdx}-${i} ` +
+                `(${((cumulativeDistances[i] - cumulativeDistances[startIdx]) / 1000).toFixed(1)}km)` +
+                (corridor ? `, ${this.describeAreaSaved(corridor.areaSqKm, corridor.bboxAreaSqKm)}` : '')
+            );
+            startIdx = i;
+        }
+        
+        return chunks;
+    }
+    
     /**
      * Query brunnels using chunked approach for long routes
      * @param {Array} routeCoords - Route coordinates
-     * @param {Object} options - Query options
-     * @returns {Promise<Object>} Merged brunnel data
+     * @param {Object} options - Query options (see queryChunks); with queryMode 'corridor' the route's
+     *     corridor is split into chunks instead of its bounding box
+     * @returns {Promise<Object>} Merged brunnel data {bridges, tunnels, failedChunks, queryAreas}
      */
     static async queryBrunnelsChunked(routeCoords, options = {}) {
-        const { queryBuffer = 10 } = options;
-        const chunks = this.chunkRouteForQueries(routeCoords, queryBuffer);
+        const { queryBuffer = 10, queryMode = 'bbox' } = options;
+        const chunks = (queryMode === 'corridor'
+            ? this.chunkRouteForCorridors(routeCoords, queryBuffer)
+            : this.chunkRouteForQueries(routeCoords, queryBuffer)
+        ).map((chunk, index, all) => ({ ...chunk, index, count: all.length }));
         
         // Calculate total route length for logging
         let totalDistance = 0;
@@ -315,38 +830,121 @@ out geom qt;`;
             `breaking into ${chunks.length} chunks for Overpass queries`
         );
         
-        const allBridges = [];
-        const allTunnels = [];
+        const result = await this.queryChunks(chunks, options);
+        
+        // Partial results are useful, but with nothing at all there is nothing to analyze
+        if (result.failedChunks.length === chunks.length) {
+            const lastError = result.failedChunks[result.failedChunks.length - 1].error;
+            throw new Error(`All ${chunks.length} chunk queries failed. Last error: ${lastError}`);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Query route chunks concurrently, keeping the results of chunks that succeed
+     * @param {Array} chunks - Chunks {startIdx, endIdx, bounds, corridor, index, count} from queryBrunnelsChunked
+     *     (or the failedChunks of an earlier result, to retry them)
+     * @param {Object} options - Query options (see queryBrunnels)
+     * @param {number} options.concurrency - Maximum number of chunk queries in flight
+     * @param {Function} options.onStatus - ({message, chunk, ...}) => void; messages are prefixed with 'Chunk 3/12'
+     * @returns {Promise<Object>} Merged brunnel data {bridges, tunnels, failedChunks, queryAreas}, where
+     *     failedChunks are the chunks that could not be loaded, each with an error message, and queryAreas
+     *     the areas of all the chunks (see getQueryArea)
+     */
+    static async queryChunks(chunks, options = {}) {
+        const { concurrency = this.CHUNK_CONCURRENCY, onStatus = null } = options;
+        const chunkResults = [];
+        const failedChunks = [];
+        let nextChunk = 0;
+        let completed = 0;
         let totalAreaSqKm = 0.0;
+        let totalBboxAreaSqKm = 0.0;
         
-        for (let i = 0; i < chunks.length; i++) {
-            const chunk = chunks[i];
+        const report = (chunk, status) => {
+            if (onStatus) {
+                onStatus({ ...status, chunk: chunk.index });
+            }
+        };
+        
+        const queryChunk = async (chunk) => {
+            const label = `Chunk ${chunk.index + 1}/${chunk.count}`;
             
             // Calculate chunk area for logging
-            const latDiff = chunk.bounds.maxLat - chunk.bounds.minLat;
-            const lonDiff = chunk.bounds.maxLon - chunk.bounds.minLon;
-            const avgLat = (chunk.bounds.maxLat + chunk.bounds.minLat) / 2;
-            const latKm = latDiff * 111.0;
-            const lonKm = lonDiff * 111.0 * Math.abs(Math.cos(avgLat * Math.PI / 180));
-            const areaSqKm = latKm * lonKm;
+            const areaSqKm = chunk.corridor ? chunk.corridor.areaSqKm : this.getAreaSqKm(chunk.bounds);
             totalAreaSqKm += areaSqKm;
+            totalBboxAreaSqKm += chunk.corridor ? chunk.corridor.bboxAreaSqKm : areaSqKm;
             
             console.log(
-                `Chunk ${i+1}/${chunks.length}: querying ${areaSqKm.toFixed(1)} sq km area ` +
+                `${label}: querying ${areaSqKm.toFixed(1)} sq km ${chunk.corridor ? 'corridor' : 'area'} ` +
                 `(points ${chunk.startIdx}-${chunk.endIdx})`
             );
             
-            // Query this chunk
-            const chunkData = await this.queryBrunnels(chunk.bounds, options);
-            allBridges.push(...chunkData.bridges);
-            allTunnels.push(...chunkData.tunnels);
-        }
+            try {
+                const chunkData = await this.queryBrunnels(chunk.bounds, {
+                    ...options,
+                    corridor: chunk.corridor || null,
+                    onStatus: status => report(chunk, { ...status, message: `${label}: ${status.message}` })
+                });
+                chunkResults.push(chunkData);
+                completed++;
+                report(chunk, { message: `${label} loaded (${completed}/${chunks.length} complete)` });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                console.log(`✗ ${label} failed: ${error.message}`);
+                failedChunks.push({ ...chunk, error: error.message });
+                report(chunk, { message: `✗ ${label} failed: ${error.message}` });
+            }
+        };
+        
+        // A fixed number of runners take chunks in route order until none are left
+        const runner = async () => {
+            while (nextChunk < chunks.length) {
+                await queryChunk(chunks[nextChunk++]);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), chunks.length) }, runner));
         
         console.log(
-            `Completed ${chunks.length} chunked queries covering ${totalAreaSqKm.toFixed(1)} sq km total`
+            `Completed ${completed}/${chunks.length} chunked queries covering ${totalAreaSqKm.toFixed(1)} sq km total`
         );
+        if (chunks.some(chunk => chunk.corridor)) {
+            console.log(`Corridor queries: ${this.describeAreaSaved(totalAreaSqKm, totalBboxAreaSqKm)}`);
+        }
+        
+        return {
+            ...this.mergeResults(chunkResults),
+            failedChunks: failedChunks.sort((a, b) => a.index - b.index),
+            queryAreas: chunks.map(chunk => this.getQueryArea(chunk))
+        };
+    }
+    
+    /**
+     * Describe the area covered by a query, for drawing it on the map
+     * @param {Object} chunk - Chunk {bounds, corridor, index, count}, or {bounds, corridor} for a single query
+     * @returns {Object} {bounds, ring, index, count}; ring is the corridor outline [[lat, lon], ...] or null
+     *     when the bounding box was queried
+     */
+    static getQueryArea(chunk) {
+        return {
+            bounds: chunk.corridor ? chunk.corridor.bounds : chunk.bounds,
+            ring: chunk.corridor ? chunk.corridor.ring : null,
+            index: chunk.index || 0,
+            count: chunk.count || 1
+        };
+    }
+    
+    /**
+     * Merge brunnel data from several queries, removing duplicates by OSM ID
+     * @param {Array} results - Brunnel data objects {bridges, tunnels, staleDate}
+     * @returns {Object} Merged {bridges, tunnels, staleDate}; staleDate is the oldest of the results'
+     */
+    static mergeResults(results) {
+        const allBridges = results.flatMap(result => result.bridges);
+        const allTunnels = results.flatMap(result => result.tunnels);
         
-        // Merge results by OSM ID to remove duplicates
         const bridgesById = new Map();
         const tunnelsById = new Map();
         
@@ -368,9 +966,13 @@ out geom qt;`;
             `${allTunnels.length - mergedTunnels.length} duplicate tunnels)`
         );
         
+        // ISO 8601 dates sort as strings
+        const staleDates = results.map(result => result.staleDate).filter(Boolean).sort();
+        
         return {
             bridges: mergedBridges,
-            tunnels: mergedTunnels
+            tunnels: mergedTunnels,
+            staleDate: staleDates[0] || null
         };
     }
 }
\ No newline at end of file
@@ -0,0 +1,474 @@
+/**
+ * Spatial indexes over the route and its buffer
+ *
+ * Long routes have tens of thousands of segments, and testing every brunnel against all
+ * of them makes containment and route-span calculation slow. These indexes keep a
+ * hierarchy of bounding boxes over runs of consecutive segments, so each test only looks
+ * at segments near the brunnel. The per-segment calculations are the same ones Turf.js
+ * performs, so the results are identical to turf.nearestPointOnLine,
+ * turf.booleanPointInPolygon and turf.lineIntersect on the whole geometry.
+ */
+
+/**
+ * Bounding box hierarchy over the segments of a polyline
+ */
+class SegmentIndex {
+    /**
+     * Number of segments in each leaf node
+     */
+    static LEAF_SIZE = 8;
+    
+    /**
+     * Build the index
+     * @param {Array} points - Polyline vertices as [x, y] (lon, lat) pairs
+     */
+    constructor(points) {
+        this.points = points;
+        this.root = points.length > 1 ? this.buildNode(0, points.length - 1) : null;
+    }
+    
+    /**
+     * Build the node covering segments [start, end)
+     * @param {number} start - First segment index
+     * @param {number} end - One past the last segment index
+     * @returns {Object} Node {start, end, minX, minY, maxX, maxY, children}
+     */
+    buildNode(start, end) {
+        const node = { start, end, minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity, children: null };
+        
+        if (end - start > SegmentIndex.LEAF_SIZE) {
+            const middle = (start + end) >> 1;
+            node.children = [this.buildNode(start, middle), this.buildNode(middle, end)];
+            for (const child of node.children) {
+                node.minX = Math.min(node.minX, child.minX);
+                node.minY = Math.min(node.minY, child.minY);
+                node.maxX = Math.max(node.maxX, child.maxX);
+                node.maxY = Math.max(node.maxY, child.maxY);
+            }
+        } else {
+            // Segment i joins points i and i + 1
+            for (let i = start; i <= end; i++) {
+                const [x, y] = this.points[i];
+                node.minX = Math.min(node.minX, x);
+                node.minY = Math.min(node.minY, y);
+                node.maxX = Math.max(node.maxX, x);
+                node.maxY = Math.max(node.maxY, y);
+            }
+        }
+        
+        return node;
+    }
+    
+    /**
+     * Get the bounding box of a single segment
+     * @param {number} i - Segment index
+     * @returns {Object} {minX, minY, maxX, maxY}
+     */
+    segmentBounds(i) {
+        const [x1, y1] = this.points[i];
+        const [x2, y2] = this.points[i + 1];
+        return {
+            minX: Math.min(x1, x2),
+            minY: Math.min(y1, y2),
+            maxX: Math.max(x1, x2),
+            maxY: Math.max(y1, y2)
+        };
+    }
+    
+    /**
+     * Visit every segment whose bounding box passes a test
+     * @param {Function} boxTest - Called with a {minX, minY, maxX, maxY} box; returns true if it may contain matches
+     * @param {Function} callback - Called with the index of each matching segment, in ascending order
+     */
+    search(boxTest, callback) {
+        if (!this.root) {
+            return;
+        }
+        
+        const stack = [this.root];
+        const leaves = [];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (!boxTest(node)) continue;
+            
+            if (node.children) {
+                stack.push(node.children[1], node.children[0]);
+            } else {
+                leaves.push(node);
+            }
+        }
+        
+        // Children are visited left first, so leaves come out in segment order
+        for (const leaf of leaves) {
+            for (let i = leaf.start; i < leaf.end; i++) {
+                if (boxTest(this.segmentBounds(i))) {
+                    callback(i);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Nearest-point queries against the route line
+ */
+class RouteIndex {
+    /**
+     * Slack in kilometers subtracted from distance lower bounds to absorb rounding
+     */
+    static BOUND_SLACK_KM = 1e-6;
+    
+    /**
+     * Build the index
+     * @param {Array} routeCoords - Route coordinates [{lat, lon}, ...]
+     */
+    constructor(routeCoords) {
+        this.points = routeCoords.map(coord => [coord.lon, coord.lat]);
+        this.segments = new SegmentIndex(this.points);
+        
+        // Distance along the route to the start of each segment, in kilometers, summed the
+        // same way turf.nearestPointOnLine sums it so that locations match exactly
+        this.locations = [0];
+        let length = 0;
+        for (let i = 0; i < this.points.length - 1; i++) {
+            length += turf.distance(this.points[i], this.points[i + 1]);
+            this.locations.push(length);
+        }
+    }
+    
+    /**
+     * Find the nearest point on the route (equivalent to turf.nearestPointOnLine on the whole route)
+     * @param {Object} coord - Point {lat, lon}
+     * @param {Object} range - Optional inclusive segment range {startSegment, endSegment} to search
+     * @returns {Object|null} {coordinates: [lon, lat], distance (km), location (km along route), index}
+     */
+    nearestPoint(coord, range = null) {
+        const root = this.segments.root;
+        if (!root) {
+            return null;
+        }
+        
+        const point = [coord.lon, coord.lat];
+        const firstSegment = range ? range.startSegment : 0;
+        const lastSegment = range ? range.endSegment : this.points.length - 2;
+        const evaluated = [];
+        let bestDistance = Infinity;
+        
+        // Branch and bound, nearest boxes first
+        const visit = (node) => {
+            if (node.end <= firstSegment || node.start > lastSegment || this.lowerBound(point, node) > bestDistance) {
+                return;
+            }
+            
+            if (node.children) {
+                const [first, second] = node.children
+                    .map(child => ({ child, bound: this.lowerBound(point, child) }))
+                    .sort((a, b) => a.bound - b.bound);
+                visit(first.child);
+                visit(second.child);
+                return;
+            }
+            
+            for (let i = Math.max(node.start, firstSegment); i < Math.min(node.end, lastSegment + 1); i++) {
+                if (this.lowerBound(point, this.segments.segmentBounds(i)) > bestDistance) continue;
+                
+                const candidates = this.projectOntoSegment(point, i);
+                evaluated.push({ index: i, candidates });
+                for (const candidate of candidates) {
+                    bestDistance = Math.min(bestDistance, candidate.distance);
+                }
+            }
+        };
+        visit(root);
+        
+        // Every skipped segment is strictly farther than the best distance, so replaying the
+        // evaluated ones in route order picks the same point turf would (first strict minimum)
+        evaluated.sort((a, b) => a.index - b.index);
+        let closest = null;
+        for (const { candidates } of evaluated) {
+            for (const candidate of candidates) {
+                if (!closest || candidate.distance < closest.distance) {
+                    closest = candidate;
+                }
+            }
+        }
+        
+        return closest;
+    }
+    
+    /**
+     * Find the separate passes of the route near a line, e.g. the way out and the way back
+     * over the same bridge
+     * @param {Array} coords - Line coordinates [{lat, lon}, ...]
+     * @param {number} maxDistance - Maximum distance in kilometers between the line and a route segment
+     * @returns {Array} Passes {startSegment, endSegment} (inclusive segment ranges) in route order
+     */
+    findPasses(coords, maxDistance) {
+        const points = coords.map(coord => [coord.lon, coord.lat]);
+        const line = turf.lineString(points);
+        
+        // Generous box around the line; the exact distance test below decides
+        const degrees = turf.lengthToDegrees(maxDistance, 'kilometers') * 1.5;
+        const maxAbsLat = Math.min(89, Math.max(...points.map(point => Math.abs(point[1]))));
+        const latMargin = degrees;
+        const lonMargin = degrees / Math.cos(maxAbsLat * Math.PI / 180);
+        const minX = Math.min(...points.map(point => point[0])) - lonMargin;
+        const minY = Math.min(...points.map(point => point[1])) - latMargin;
+        const maxX = Math.max(...points.map(point => point[0])) + lonMargin;
+        const maxY = Math.max(...points.map(point => point[1])) + latMargin;
+        
+        const passes = [];
+        let current = null;
+        this.segments.search(
+            box => box.minX <= maxX && box.minY <= maxY && box.maxX >= minX && box.maxY >= minY,
+            i => {
+                if (this.segmentDistanceToLine(i, points, line) > maxDistance) {
+                    return;
+                }
+                
+                // Consecutive nearby segments belong to the same pass
+                if (current && current.endSegment === i - 1) {
+                    current.endSegment = i;
+                } else {
+                    current = { startSegment: i, endSegment: i };
+                    passes.push(current);
+                }
+            }
+        );
+        
+        return passes;
+    }
+    
+    /**
+     * Calculate the distance between a route segment and a line
+     * @param {number} i - Segment index
+     * @param {Array} points - Line vertices [lon, lat]
+     * @param {Object} line - The same line as a GeoJSON LineString
+     * @returns {number} Distance in kilometers (0 if they cross)
+     */
+    segmentDistanceToLine(i, points, line) {
+        const start = this.points[i];
+        const stop = this.points[i + 1];
+        const segment = turf.lineString([start, stop]);
+        
+        for (let j = 0; j < points.length - 1; j++) {
+            if (BufferIndex.segmentsIntersect(start, stop, points[j], points[j + 1])) {
+                return 0;
+            }
+        }
+        
+        // Without a crossing, the closest approach involves a vertex of one of the two lines
+        let distance = Math.min(
+            turf.pointToLineDistance(start, line),
+            turf.pointToLineDistance(stop, line)
+        );
+        for (const point of points) {
+            distance = Math.min(distance, turf.pointToLineDistance(point, segment));
+        }
+        
+        return distance;
+    }
+    
+    /**
+     * Calculate turf.nearestPointOnLine's candidate points for one segment
+     * @param {Array} point - Query point [lon, lat]
+     * @param {number} i - Segment index
+     * @returns {Array} Candidates in turf's order: segment start, segment end, perpendicular foot (if any)
+     */
+    projectOntoSegment(point, i) {
+        const start = this.points[i];
+        const stop = this.points[i + 1];
+        const startDistance = turf.distance(point, start);
+        const stopDistance = turf.distance(point, stop);
+        const sectionLength = turf.distance(start, stop);
+        
+        const candidates = [
+            { coordinates: start, distance: startDistance, location: this.locations[i], index: i },
+            { coordinates: stop, distance: stopDistance, location: this.locations[i] + sectionLength, index: i + 1 }
+        ];
+        
+        // Perpendicular through the query point, long enough to reach the segment
+        const heightDistance = Math.max(startDistance, stopDistance);
+        const direction = turf.bearing(start, stop);
+        const perpendicular = turf.lineString([
+            turf.destination(point, heightDistance, direction + 90).geometry.coordinates,
+            turf.destination(point, heightDistance, direction - 90).geometry.coordinates
+        ]);
+        const intersect = turf.lineIntersect(perpendicular, turf.lineString([start, stop]));
+        
+        if (intersect.features.length > 0) {
+            const foot = intersect.features[0].geometry.coordinates;
+            candidates.push({
+                coordinates: foot,
+                distance: turf.distance(point, foot),
+                location: this.locations[i] + turf.distance(start, foot),
+                index: i
+            });
+        }
+        
+        return candidates;
+    }
+    
+    /**
+     * Lower bound on the haversine distance from a point to anything inside a box
+     * @param {Array} point - Query point [lon, lat]
+     * @param {Object} box - {minX, minY, maxX, maxY} in degrees
+     * @returns {number} Distance in kilometers
+     */
+    lowerBound(point, box) {
+        const [lon, lat] = point;
+        const dLat = Math.max(box.minY - lat, lat - box.maxY, 0);
+        let dLon = Math.max(box.minX - lon, lon - box.maxX, 0);
+        if (Math.max(Math.abs(lon - box.minX), Math.abs(lon - box.maxX)) > 180) {
+            dLon = 0; // The box may wrap around the antimeridian
+        }
+        
+        // hav(d) = hav(dLat) + cos(lat1) cos(lat2) hav(dLon), with cos(lat2) at its smallest over the box
+        const toRadians = Math.PI / 180;
+        const farthestLat = Math.min(90, Math.max(Math.abs(box.minY), Math.abs(box.maxY)));
+        const a = Math.pow(Math.sin(dLat * toRadians / 2), 2) +
+            Math.pow(Math.sin(dLon * toRadians / 2), 2) * Math.cos(lat * toRadians) * Math.cos(farthestLat * toRadians);
+        const distance = turf.radiansToLength(2 * Math.asin(Math.sqrt(Math.min(1, a))), 'kilometers');
+        
+        return distance - RouteIndex.BOUND_SLACK_KM;
+    }
+}
+
+/**
+ * Containment queries against the buffered route polygon
+ */
+class BufferIndex {
+    /**
+     * Build the index
+     * @param {Object} routeBuffer - Buffered route polygon from GeometryUtils.createRouteBuffer
+     */
+    constructor(routeBuffer) {
+        const geometry = turf.getGeom(routeBuffer);
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+        
+        this.bbox = routeBuffer.bbox || null;
+        this.polygons = polygons.map(rings => rings.map(ring => new SegmentIndex(ring)));
+    }
+    
+    /**
+     * Check whether a line lies completely inside the buffer (equivalent to GeometryUtils.brunnelWithin)
+     * @param {Array} coords - Line coordinates [{lat, lon}, ...]
+     * @returns {boolean} True if every vertex is inside and the line never crosses the boundary
+     */
+    containsLine(coords) {
+        const points = coords.map(coord => [coord.lon, coord.lat]);
+        
+        for (const point of points) {
+            if (!this.containsPoint(point)) {
+                return false;
+            }
+        }
+        
+        for (let i = 0; i < points.length - 1; i++) {
+            if (this.segmentCrossesBoundary(points[i], points[i + 1])) {
+                return false;
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Check whether a point is inside the buffer (equivalent to turf.booleanPointInPolygon)
+     * @param {Array} point - Point [lon, lat]
+     * @returns {boolean} True if inside or on the outer boundary
+     */
+    containsPoint(point) {
+        if (this.bbox) {
+            const [minX, minY, maxX, maxY] = this.bbox;
+            if (point[0] < minX || point[1] < minY || point[0] > maxX || point[1] > maxY) {
+                return false;
+            }
+        }
+        
+        for (const [outer, ...holes] of this.polygons) {
+            if (this.inRing(point, outer, false) && !holes.some(hole => this.inRing(point, hole, true))) {
+                return true;
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Ray-casting test against one ring, using only the edges the eastward ray can meet
+     * @param {Array} point - Point [lon, lat]
+     * @param {SegmentIndex} ring - Indexed ring
+     * @param {boolean} ignoreBoundary - Whether a point on the boundary counts as outside
+     * @returns {boolean} True if inside
+     */
+    inRing(point, ring, ignoreBoundary) {
+        const [x, y] = point;
+        let isInside = false;
+        let onBoundary = false;
+        
+        ring.search(box => box.minY <= y && box.maxY >= y && box.maxX >= x, i => {
+            // Same edge orientation and arithmetic as turf's inRing
+            const [xj, yj] = ring.points[i];
+            const [xi, yi] = ring.points[i + 1];
+            
+            if (y * (xi - xj) + yi * (xj - x) + yj * (x - xi) === 0 &&
+                (xi - x) * (xj - x) <= 0 &&
+                (yi - y) * (yj - y) <= 0) {
+                onBoundary = true;
+            } else if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+                isInside = !isInside;
+            }
+        });
+        
+        return onBoundary ? !ignoreBoundary : isInside;
+    }
+    
+    /**
+     * Check whether a segment intersects any ring of the buffer (equivalent to turf.lineIntersect)
+     * @param {Array} start - Segment start [lon, lat]
+     * @param {Array} end - Segment end [lon, lat]
+     * @returns {boolean} True if the segment touches or crosses the boundary
+     */
+    segmentCrossesBoundary(start, end) {
+        const minX = Math.min(start[0], end[0]);
+        const minY = Math.min(start[1], end[1]);
+        const maxX = Math.max(start[0], end[0]);
+        const maxY = Math.max(start[1], end[1]);
+        const overlaps = box => box.minX <= maxX && box.minY <= maxY && box.maxX >= minX && box.maxY >= minY;
+        
+        for (const rings of this.polygons) {
+            for (const ring of rings) {
+                let crosses = false;
+                ring.search(overlaps, i => {
+                    crosses = crosses || BufferIndex.segmentsIntersect(start, end, ring.points[i], ring.points[i + 1]);
+                });
+                if (crosses) {
+                    return true;
+                }
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Planar segment intersection test, with the same arithmetic as turf.lineIntersect
+     * @param {Array} p1 - First segment start [x, y]
+     * @param {Array} p2 - First segment end [x, y]
+     * @param {Array} p3 - Second segment start [x, y]
+     * @param {Array} p4 - Second segment end [x, y]
+     * @returns {boolean} True if the segments intersect (collinear segments never do)
+     */
+    static segmentsIntersect([x1, y1], [x2, y2], [x3, y3], [x4, y4]) {
+        const denom = (y4 - y3) * (x2 - x1) - (x4 - x3) * (y2 - y1);
+        if (denom === 0) {
+            return false;
+        }
+        
+        const uA = ((x4 - x3) * (y1 - y3) - (y4 - y3) * (x1 - x3)) / denom;
+        const uB = ((x2 - x1) * (y1 - y3) - (y2 - y1) * (x1 - x3)) / denom;
+        
+        return uA >= 0 && uA <= 1 && uB >= 0 && uB <= 1;
+    }
+}
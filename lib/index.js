@@ -0,0 +1,65 @@
+/**
+ * Brunnels library entry point (CommonJS)
+ *
+ * Exposes the DOM-free analysis pipeline used by the web app and the CLI:
+ *
+ *     const { analyzeRoute } = require('brunnels-js');
+ *     const { brunnels } = await analyzeRoute(coordinates, { routeBuffer: 3 }, {
+ *         fetchOverpass: async (query) => overpassJson,
+ *         onProgress: ({ stage, message }) => console.log(stage, message)
+ *     });
+ */
+
+const loadScripts = require('./load-scripts');
+
+/**
+ * Create an independent set of the analysis modules
+ * @param {Object} options - Options
+ * @param {Object} options.console - Console used for analysis logging (default: silent)
+ * @returns {Object} Library API bound to the new modules
+ */
+function createBrunnels(options = {}) {
+    const modules = loadScripts(options);
+    
+    return {
+        ...modules,
+        
+        /**
+         * Analyze a route for bridges and tunnels (see AnalysisPipeline.analyzeRoute)
+         * @param {Array|Object} coordinates - Route coordinates [{lat, lon}, ...] or a parsed route
+         * @param {Object} analysisOptions - {profile, queryBuffer, routeBuffer, bearingTolerance, timeout}
+         * @param {Object} hooks - {fetchOverpass, onProgress}
+         * @returns {Promise<Object>} {route, brunnels, routeBuffer, overpassData}
+         */
+        analyzeRoute(coordinates, analysisOptions = {}, hooks = {}) {
+            return modules.AnalysisPipeline.analyzeRoute(coordinates, analysisOptions, hooks);
+        },
+        
+        /**
+         * Re-query the chunks of a long route that failed to load (see AnalysisPipeline.retryFailedChunks)
+         * @param {Array|Object} coordinates - The same route passed to analyzeRoute
+         * @param {Object} overpassData - overpassData from the earlier result
+         * @param {Object} analysisOptions - {profile, queryBuffer, routeBuffer, bearingTolerance, timeout}
+         * @param {Object} hooks - {fetchOverpass, onProgress}
+         * @returns {Promise<Object>} {route, brunnels, routeBuffer, overpassData}
+         */
+        retryFailedChunks(coordinates, overpassData, analysisOptions = {}, hooks = {}) {
+            return modules.AnalysisPipeline.retryFailedChunks(coordinates, overpassData, analysisOptions, hooks);
+        },
+        
+        /**
+         * Parse GPX text into a route object
+         * @param {string} text - GPX XML
+         * @param {string} fileName - Optional file name
+         * @returns {Object} Route object
+         */
+        parseGPX(text, fileName = null) {
+            return modules.GPXRoute.parse(text, fileName);
+        }
+    };
+}
+
+module.exports = {
+    ...createBrunnels(),
+    createBrunnels
+};
@@ -0,0 +1,27 @@
+/**
+ * Brunnels library entry point (ES module)
+ * Re-exports the CommonJS entry point so both module systems share one set of classes
+ */
+
+import brunnels from './index.js';
+
+export const {
+    analyzeRoute,
+    retryFailedChunks,
+    parseGPX,
+    createBrunnels,
+    AnalysisPipeline,
+    OverpassAPI,
+    OSMExtract,
+    GeometryUtils,
+    SegmentIndex,
+    RouteIndex,
+    BufferIndex,
+    Brunnel,
+    BrunnelAnalysis,
+    GPXRoute,
+    ElevationUtils,
+    GPXExporter
+} = brunnels;
+
+export default brunnels;
@@ -0,0 +1,84 @@
+/**
+ * Loads the browser scripts in js/ into Node.js
+ *
+ * The web app's modules are plain scripts that share globals (turf, gpxParser and each
+ * other's classes). This compiles them, in the same order as index.html, into one
+ * function whose parameters provide those globals, and returns the classes they define.
+ * The function runs in the caller's realm, so results are ordinary arrays and objects.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT_DIR = path.join(__dirname, '..', 'js');
+
+// Scripts needed for analysis, in index.html order (UI-only scripts are left out)
+const SCRIPTS = [
+    'overpass-api.js',
+    'osm-extract.js',
+    'geometry.js',
+    'route-index.js',
+    'brunnel.js',
+    'gpx-route.js',
+    'analysis-pipeline.js',
+    'elevation.js',
+    'gpx-export.js'
+];
+
+// Classes exported from the sandbox
+const EXPORTS = [
+    'OverpassAPI',
+    'OSMExtract',
+    'GeometryUtils',
+    'SegmentIndex',
+    'RouteIndex',
+    'BufferIndex',
+    'Brunnel',
+    'BrunnelAnalysis',
+    'GPXRoute',
+    'AnalysisPipeline',
+    'ElevationUtils',
+    'GPXExporter'
+];
+
+// Console that drops the modules' analysis logging
+const SILENT_CONSOLE = {
+    log() {},
+    info() {},
+    warn() {},
+    error() {},
+    debug() {}
+};
+
+/**
+ * Create a gpxParser instance
+ * gpxparser sets up a jsdom window when required, so it is only loaded when a GPX file is parsed
+ */
+function gpxParser() {
+    const GpxParser = require('gpxparser');
+    return new GpxParser();
+}
+
+/**
+ * Load the analysis modules
+ * @param {Object} options - Loader options
+ * @param {Object} options.console - Console used by the modules (default: silent)
+ * @returns {Object} Map of class name to class
+ */
+function loadScripts(options = {}) {
+    const source = SCRIPTS
+        .map(script => fs.readFileSync(path.join(SCRIPT_DIR, script), 'utf8'))
+        .join('\n');
+    
+    // Top-level class declarations become locals of the function, so return them by name
+    const factory = vm.compileFunction(
+        `${source}\nreturn { ${EXPORTS.join(', ')} };`,
+        ['turf', 'gpxParser', 'console'],
+        { filename: SCRIPT_DIR }
+    );
+    
+    return factory(require('@turf/turf'), gpxParser, options.console || SILENT_CONSOLE);
+}
+
+module.exports = loadScripts;
@@ -10,14 +10,77 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const url = require('url');
+const zlib = require('zlib');
+
+const CACHE_EXTENSION = '.json.gz';
+const LEGACY_CACHE_EXTENSION = '.json';
+
+// Files of the web app served with --serve-app (paths ending in / are directories)
+const APP_PATHS = ['index.html', 'styles.css', 'js/', 'icons/', 'vendor/'];
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png'
+};
+
+// Raster tile formats of MBTiles files served with --mbtiles (vector tiles can't be shown by the app)
+const TILE_MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp'
+};
 
 class OverpassCachingProxy {
     constructor(options = {}) {
         this.port = options.port || 3001;
         this.cacheDir = options.cacheDir || path.join(__dirname, '.overpass-cache');
         this.maxAge = options.maxAge || 24 * 60 * 60 * 1000; // 24 hours default
-        this.overpassUrl = 'https://overpass-api.de/api/interpreter';
+        this.maxSize = options.maxSize !== undefined ? options.maxSize : 500 * 1024 * 1024; // Bytes; 0 for no limit
+        // Expired entries are served at once and refreshed in the background for this long after maxAge...
+        this.staleWhileRevalidate = options.staleWhileRevalidate !== undefined ? options.staleWhileRevalidate : 24 * 60 * 60 * 1000;
+        // ...and kept as a fallback for when upstream fails for this long after maxAge
+        this.staleIfError = options.staleIfError !== undefined ? options.staleIfError : 7 * 24 * 60 * 60 * 1000;
+        this.overpassUrl = options.overpassUrl || 'https://overpass-api.de/api/interpreter';
         this.enableCors = options.enableCors !== false;
+        // Pages on other origins that may use the cache API, e.g. the app on `npm start`'s server
+        this.appOrigins = options.appOrigins || ['http://localhost:8000', 'http://127.0.0.1:8000'];
+        this.tileSize = options.tileSize || 0.1; // Degrees of latitude and longitude per cache tile
+        this.tileDir = path.join(this.cacheDir, 'tiles');
+        this.concurrency = options.concurrency || 2; // Upstream requests in flight at once (Overpass allows 2 per IP by default)
+        this.statusUrl = this.overpassUrl.replace(/\/interpreter$/, '/status');
+        this.maxRateLimitRetries = 3; // Attempts per query when Overpass answers 429 despite the status check
+        this.rateLimitBackoff = options.rateLimitBackoff || 5000; // Milliseconds before retrying a 429; doubles with each attempt
+        this.slotPollInterval = options.slotPollInterval || 5000; // Milliseconds between status checks while running queries hold every slot
+        this.maxSlotWait = options.maxSlotWait || 5 * 60 * 1000; // Milliseconds to wait for a slot before trying anyway
+        this.recordDir = options.recordDir || null; // Store every upstream exchange here as a fixture
+        this.replayDir = options.replayDir || null; // Serve only the fixtures stored here, never calling upstream
+        this.appDir = options.serveApp ? __dirname : null; // Serve the web app from here on the same origin
+        this.mbtilesFiles = options.mbtiles || []; // MBTiles files to serve map tiles from
+        this.tilesets = new Map(); // Tileset id → {name, format, minZoom, maxZoom, attribution, tileStatement}
+        
+        // Upstream queue: identical queries in flight share one request, and the rest wait for a slot
+        this.inFlight = new Map(); // Cache key → promise of the upstream response
+        this.queue = [];
+        this.activeRequests = 0;
+        this.upstreamRateLimit = 0; // Slots Overpass reports for this client in /api/status (0: unknown or unlimited)
+        this.revalidating = new Set(); // Keys of stale entries being refreshed in the background
+        
+        // Counters reported by the cache API since the server started
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            tileHits: 0,
+            tileMisses: 0,
+            upstreamRequests: 0,
+            coalesced: 0,
+            staleHits: 0,
+            staleOnError: 0,
+            since: new Date().toISOString()
+        };
         
         // Ensure cache directory exists
         if (!fs.existsSync(this.cacheDir)) {
@@ -27,6 +90,31 @@ class OverpassCachingProxy {
         console.log(`Overpass caching proxy starting...`);
         console.log(`Cache directory: ${this.cacheDir}`);
         console.log(`Cache max age: ${this.maxAge / 1000 / 60 / 60} hours`);
+        console.log(
+            `Stale entries: served while refreshing for ${this.staleWhileRevalidate / 1000 / 60 / 60} hours, ` +
+            `kept for upstream errors for ${this.staleIfError / 1000 / 60 / 60} hours`
+        );
+        
+        // Total size of the cache files, kept up to date as entries are written and removed
+        this.migrateCache();
+        this.cacheSize = this.getCacheFiles().reduce((total, file) => total + fs.statSync(file.filePath).size, 0);
+        console.log(
+            `Cache size: ${this.formatMB(this.cacheSize)}` +
+            (this.maxSize ? ` of ${this.formatMB(this.maxSize)} (least recently used entries are evicted beyond that)` : '')
+        );
+        this.enforceMaxSize();
+        console.log(`Cache tile size: ${this.tileSize}°`);
+        console.log(`Upstream concurrency: ${this.concurrency}`);
+        
+        if (this.replayDir) {
+            const count = fs.existsSync(this.replayDir)
+                ? fs.readdirSync(this.replayDir).filter(file => file.endsWith('.json')).length
+                : 0;
+            console.log(`Replaying ${count} recorded responses from ${this.replayDir}; other queries fail`);
+        } else if (this.recordDir) {
+            fs.mkdirSync(this.recordDir, { recursive: true });
+            console.log(`Recording upstream exchanges to ${this.recordDir} (the cache is bypassed)`);
+        }
     }
     
     /**
@@ -42,7 +130,145 @@ class OverpassCachingProxy {
      * Get cache file path for a query
      */
     getCacheFilePath(cacheKey) {
-        return path.join(this.cacheDir, `${cacheKey}.json`);
+        return this.getEntryPath(cacheKey);
+    }
+    
+    /**
+     * Get the file path of a cache entry from its id (see getCacheFiles)
+     */
+    getEntryPath(id) {
+        return path.join(this.cacheDir, `${id}${CACHE_EXTENSION}`);
+    }
+    
+    /**
+     * List the cache files as {id, type, filePath}
+     * Ids are paths inside the cache directory without the extension: "<hash>" for queries and
+     * "tiles/<template hash>/<row>_<col>" for tiles
+     */
+    getCacheFiles(extension = CACHE_EXTENSION) {
+        const files = [];
+        
+        for (const file of fs.readdirSync(this.cacheDir)) {
+            if (file.endsWith(extension)) {
+                files.push({ id: file.slice(0, -extension.length), type: 'query', filePath: path.join(this.cacheDir, file) });
+            }
+        }
+        
+        if (fs.existsSync(this.tileDir)) {
+            for (const templateKey of fs.readdirSync(this.tileDir)) {
+                for (const file of fs.readdirSync(path.join(this.tileDir, templateKey))) {
+                    if (file.endsWith(extension)) {
+                        files.push({
+                            id: `tiles/${templateKey}/${file.slice(0, -extension.length)}`,
+                            type: 'tile',
+                            filePath: path.join(this.tileDir, templateKey, file)
+                        });
+                    }
+                }
+            }
+        }
+        
+        return files;
+    }
+    
+    /**
+     * Read a compressed cache entry and record the access for least-recently-used eviction
+     */
+    readEntry(filePath) {
+        const data = JSON.parse(zlib.gunzipSync(fs.readFileSync(filePath)));
+        
+        // The access time tracks use; the modification time still dates the entry for isCacheValid()
+        const stats = fs.statSync(filePath);
+        fs.utimesSync(filePath, new Date(), stats.mtime);
+        
+        return data;
+    }
+    
+    /**
+     * Write a compressed cache entry, evicting other entries if the cache grows beyond maxSize
+     */
+    writeEntry(filePath, data) {
+        const compressed = zlib.gzipSync(JSON.stringify(data));
+        const previousSize = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+        
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, compressed);
+        this.cacheSize += compressed.length - previousSize;
+        
+        this.enforceMaxSize(filePath);
+    }
+    
+    /**
+     * Delete a cache entry
+     */
+    removeEntry(filePath) {
+        const size = fs.statSync(filePath).size;
+        fs.unlinkSync(filePath);
+        this.cacheSize -= size;
+    }
+    
+    /**
+     * Evict least recently used entries while the cache is larger than maxSize
+     * Evicts down to 90% of the limit, so the next few saves don't each scan the cache again
+     */
+    enforceMaxSize(keepFilePath = null) {
+        if (!this.maxSize || this.cacheSize <= this.maxSize) {
+            return;
+        }
+        
+        const target = this.maxSize * 0.9;
+        const candidates = this.getCacheFiles()
+            .filter(file => file.filePath !== keepFilePath)
+            .map(file => ({ ...file, lastAccess: fs.statSync(file.filePath).atimeMs }))
+            .sort((a, b) => a.lastAccess - b.lastAccess);
+        
+        let evicted = 0;
+        const sizeBefore = this.cacheSize;
+        for (const file of candidates) {
+            if (this.cacheSize <= target) break;
+            
+            try {
+                this.removeEntry(file.filePath);
+                evicted++;
+            } catch (error) {
+                console.warn(`Cache eviction error for ${file.id}: ${error.message}`);
+            }
+        }
+        
+        console.log(`✓ Evicted ${evicted} least recently used cache entries (${this.formatMB(sizeBefore - this.cacheSize)})`);
+    }
+    
+    /**
+     * Compress cache entries written as plain JSON by earlier versions, keeping their age
+     */
+    migrateCache() {
+        let migrated = 0;
+        
+        for (const { id, filePath } of this.getCacheFiles(LEGACY_CACHE_EXTENSION)) {
+            try {
+                const stats = fs.statSync(filePath);
+                const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                const entryPath = this.getEntryPath(id);
+                
+                fs.writeFileSync(entryPath, zlib.gzipSync(JSON.stringify(data)));
+                fs.utimesSync(entryPath, stats.atime, stats.mtime);
+                fs.unlinkSync(filePath);
+                migrated++;
+            } catch (error) {
+                console.warn(`Cache migration error for ${id}: ${error.message}`);
+            }
+        }
+        
+        if (migrated > 0) {
+            console.log(`✓ Compressed ${migrated} uncompressed cache entries`);
+        }
+    }
+    
+    /**
+     * Format a size in bytes as megabytes
+     */
+    formatMB(bytes) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
     }
     
     /**
@@ -59,16 +285,54 @@ class OverpassCachingProxy {
     }
     
     /**
-     * Get cached response if available and valid
+     * Check if a cache entry is still worth keeping, fresh or stale
+     */
+    isCacheUsable(filePath) {
+        return this.getFreshness(filePath) !== null;
+    }
+    
+    /**
+     * Classify a cache entry by age
+     * 'fresh' (within maxAge), 'revalidate' (serve and refresh in the background), 'fallback'
+     * (use only if upstream fails), or null if the entry is missing or too old to use
+     */
+    getFreshness(filePath) {
+        let age;
+        try {
+            age = Date.now() - fs.statSync(filePath).mtime.getTime();
+        } catch (error) {
+            return null;
+        }
+        
+        if (age < this.maxAge) {
+            return 'fresh';
+        }
+        if (age < this.maxAge + this.staleWhileRevalidate) {
+            return 'revalidate';
+        }
+        if (age < this.maxAge + this.staleIfError) {
+            return 'fallback';
+        }
+        return null;
+    }
+    
+    /**
+     * Get cached response {data, date, freshness} if available and not too old
+     * (date is when the response was fetched; see getFreshness)
      */
     getCachedResponse(cacheKey) {
         const filePath = this.getCacheFilePath(cacheKey);
+        const freshness = this.getFreshness(filePath);
         
-        if (fs.existsSync(filePath) && this.isCacheValid(filePath)) {
+        if (freshness) {
             try {
-                const cachedData = fs.readFileSync(filePath, 'utf8');
-                console.log(`✓ Cache hit for ${cacheKey.substring(0, 8)}...`);
-                return JSON.parse(cachedData);
+                const cachedData = this.readEntry(filePath);
+                return {
+                    // Entries are saved with their query; older entries hold just the response
+                    data: 'response' in cachedData ? cachedData.response : cachedData,
+                    date: fs.statSync(filePath).mtime,
+                    freshness
+                };
             } catch (error) {
                 console.warn(`Cache read error for ${cacheKey}: ${error.message}`);
                 return null;
@@ -79,18 +343,645 @@ class OverpassCachingProxy {
     }
     
     /**
-     * Save response to cache
+     * Answer a query from the cache by its exact text, fetching it upstream if needed
+     * Returns {data, status, date}: status is HIT, MISS, STALE (served while refreshing in the
+     * background) or STALE-IF-ERROR (upstream failed), and date is when stale data was fetched
      */
-    saveToCache(cacheKey, data) {
+    async getQueryResponse(queryData) {
+        const cacheKey = this.getCacheKey(queryData);
+        const label = cacheKey.substring(0, 8);
+        const cached = this.getCachedResponse(cacheKey);
+        
+        if (cached && cached.freshness === 'fresh') {
+            console.log(`✓ Cache hit for ${label}...`);
+            this.stats.hits++;
+            return { data: cached.data, status: 'HIT', date: cached.date };
+        }
+        
+        if (cached && cached.freshness === 'revalidate') {
+            console.log(`↻ Serving stale ${label}... from ${cached.date.toISOString()} while refreshing it`);
+            this.stats.staleHits++;
+            this.revalidate(cacheKey, async () => {
+                this.saveToCache(cacheKey, await this.fetchUpstream(queryData), queryData);
+            });
+            return { data: cached.data, status: 'STALE', date: cached.date };
+        }
+        
+        // Cache miss - fetch from Overpass API
+        console.log(`✗ Cache miss for ${label}...`);
+        this.stats.misses++;
+        try {
+            const data = await this.fetchUpstream(queryData);
+            this.saveToCache(cacheKey, data, queryData);
+            return { data, status: 'MISS', date: null };
+        } catch (error) {
+            if (!cached) {
+                throw error;
+            }
+            console.warn(`⚠ ${error.message}; serving stale ${label}... from ${cached.date.toISOString()}`);
+            this.stats.staleOnError++;
+            return { data: cached.data, status: 'STALE-IF-ERROR', date: cached.date };
+        }
+    }
+    
+    /**
+     * Refresh a stale entry in the background, once at a time per key
+     */
+    revalidate(key, refresh) {
+        if (this.revalidating.has(key)) {
+            return;
+        }
+        
+        this.revalidating.add(key);
+        refresh()
+            .then(() => console.log(`✓ Refreshed stale ${key.substring(0, 8)}...`))
+            .catch(error => console.warn(`⚠ Background refresh of ${key.substring(0, 8)}... failed: ${error.message}`))
+            .finally(() => this.revalidating.delete(key));
+    }
+    
+    /**
+     * Save response to cache, along with its query so the entry's area can be listed and purged
+     */
+    saveToCache(cacheKey, data, queryData) {
         const filePath = this.getCacheFilePath(cacheKey);
         try {
-            fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+            this.writeEntry(filePath, { query: queryData, response: data });
             console.log(`✓ Cached response for ${cacheKey.substring(0, 8)}...`);
         } catch (error) {
             console.warn(`Cache write error for ${cacheKey}: ${error.message}`);
         }
     }
     
+    /**
+     * Recognize a bounding box brunnel query whose results can be cached per tile
+     * Returns {timeout, bounds, body, templateKey, blockCount}, or null for any other query
+     * (corridor queries with poly: filters are cached by their exact text instead)
+     */
+    parseTileQuery(queryData) {
+        const match = queryData.match(/^\[out:json\]\[timeout:(\d+)\]\[bbox:([-\d.]+),([-\d.]+),([-\d.]+),([-\d.]+)\];/);
+        if (!match) {
+            return null;
+        }
+        
+        // Only ways are split by location, so queries for other elements are cached whole
+        const body = queryData.slice(match[0].length);
+        if (body.includes('poly:') || /\b(node|rel|relation|nwr|nw|nr|wr|area)\s*[[(.:]/.test(body)) {
+            return null;
+        }
+        
+        // Each block of results must be a count followed by way geometries, so it can be split by location
+        const outputs = body.match(/\bout\b[^;]*;/g) || [];
+        const blockCount = outputs.length / 2;
+        if (outputs.length === 0 || !outputs.every((output, i) => output === (i % 2 === 0 ? 'out count;' : 'out geom qt;'))) {
+            return null;
+        }
+        
+        const [south, west, north, east] = match.slice(2).map(Number);
+        return {
+            timeout: Number(match[1]),
+            bounds: { minLat: south, minLon: west, maxLat: north, maxLon: east },
+            body,
+            // Tiles of different sizes don't line up, so the tile size is part of the key
+            templateKey: this.getCacheKey(`${this.tileSize}\n${body}`),
+            blockCount
+        };
+    }
+    
+    /**
+     * List the cache tiles covering a bounding box
+     */
+    getTilesForBounds(bounds) {
+        const tiles = [];
+        const firstRow = Math.floor(bounds.minLat / this.tileSize);
+        const lastRow = Math.floor(bounds.maxLat / this.tileSize);
+        const firstCol = Math.floor(bounds.minLon / this.tileSize);
+        const lastCol = Math.floor(bounds.maxLon / this.tileSize);
+        
+        for (let row = firstRow; row <= lastRow; row++) {
+            for (let col = firstCol; col <= lastCol; col++) {
+                tiles.push({ row, col, bounds: this.getTileBounds(row, col, row, col) });
+            }
+        }
+        
+        return tiles;
+    }
+    
+    /**
+     * Get the bounding box of a rectangle of tiles
+     */
+    getTileBounds(firstRow, firstCol, lastRow, lastCol) {
+        const edge = index => Number((index * this.tileSize).toFixed(7));
+        return {
+            minLat: edge(firstRow),
+            minLon: edge(firstCol),
+            maxLat: edge(lastRow + 1),
+            maxLon: edge(lastCol + 1)
+        };
+    }
+    
+    /**
+     * Group missing tiles into rectangles, so each rectangle takes one upstream request
+     */
+    groupTiles(tiles) {
+        // Runs of adjacent tiles within each row
+        const runs = [];
+        const sorted = [...tiles].sort((a, b) => a.row - b.row || a.col - b.col);
+        for (const tile of sorted) {
+            const run = runs[runs.length - 1];
+            if (run && run.row === tile.row && run.lastCol === tile.col - 1) {
+                run.lastCol = tile.col;
+                run.tiles.push(tile);
+            } else {
+                runs.push({ row: tile.row, firstCol: tile.col, lastCol: tile.col, tiles: [tile] });
+            }
+        }
+        
+        // Stack runs that cover the same columns in consecutive rows
+        const rectangles = [];
+        for (const run of runs) {
+            const rectangle = rectangles.find(r =>
+                r.lastRow === run.row - 1 && r.firstCol === run.firstCol && r.lastCol === run.lastCol
+            );
+            if (rectangle) {
+                rectangle.lastRow = run.row;
+                rectangle.tiles.push(...run.tiles);
+            } else {
+                rectangles.push({ firstRow: run.row, lastRow: run.row, firstCol: run.firstCol, lastCol: run.lastCol, tiles: run.tiles });
+            }
+        }
+        
+        return rectangles.map(r => ({
+            bounds: this.getTileBounds(r.firstRow, r.firstCol, r.lastRow, r.lastCol),
+            tiles: r.tiles
+        }));
+    }
+    
+    /**
+     * Get the cache file path for one tile of a query template
+     */
+    getTileFilePath(templateKey, tile) {
+        return this.getEntryPath(`tiles/${templateKey}/${tile.row}_${tile.col}`);
+    }
+    
+    /**
+     * Get a cached tile {data, date, freshness} if available and not too old; data is {bounds, meta, blocks}
+     */
+    getCachedTile(templateKey, tile) {
+        const filePath = this.getTileFilePath(templateKey, tile);
+        const freshness = this.getFreshness(filePath);
+        
+        if (freshness) {
+            try {
+                return { data: this.readEntry(filePath), date: fs.statSync(filePath).mtime, freshness };
+            } catch (error) {
+                console.warn(`Tile cache read error for ${tile.row}_${tile.col}: ${error.message}`);
+                return null;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Save one tile {meta, blocks} to the cache
+     */
+    saveTile(templateKey, tile, data) {
+        const filePath = this.getTileFilePath(templateKey, tile);
+        try {
+            this.writeEntry(filePath, data);
+        } catch (error) {
+            console.warn(`Tile cache write error for ${tile.row}_${tile.col}: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Split an Overpass response into blocks of ways, one per "out count; out geom qt;" pair
+     * Returns null for responses that can't be split (runtime errors, unexpected elements)
+     */
+    splitBlocks(responseData, blockCount) {
+        if (responseData.remark || !Array.isArray(responseData.elements)) {
+            return null;
+        }
+        
+        const blocks = [];
+        for (const element of responseData.elements) {
+            if (element.type === 'count') {
+                blocks.push([]);
+            } else if (element.type === 'way' && Array.isArray(element.geometry) && blocks.length > 0) {
+                blocks[blocks.length - 1].push(element);
+            } else {
+                return null;
+            }
+        }
+        
+        return blocks.length === blockCount ? blocks : null;
+    }
+    
+    /**
+     * Check whether a way touches a bounding box, like the Overpass bbox filter
+     */
+    wayIntersectsBounds(way, bounds) {
+        const inside = point => point.lat >= bounds.minLat && point.lat <= bounds.maxLat &&
+            point.lon >= bounds.minLon && point.lon <= bounds.maxLon;
+        const points = way.geometry.filter(point => point);
+        
+        if (points.some(inside)) {
+            return true;
+        }
+        
+        // Liang-Barsky clipping of each segment against the box
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            const dLat = b.lat - a.lat;
+            const dLon = b.lon - a.lon;
+            let t0 = 0;
+            let t1 = 1;
+            const edges = [
+                [-dLon, a.lon - bounds.minLon],
+                [dLon, bounds.maxLon - a.lon],
+                [-dLat, a.lat - bounds.minLat],
+                [dLat, bounds.maxLat - a.lat]
+            ];
+            
+            const clipped = edges.every(([p, q]) => {
+                if (p === 0) {
+                    return q >= 0;
+                }
+                const t = q / p;
+                if (p < 0) {
+                    t0 = Math.max(t0, t);
+                } else {
+                    t1 = Math.min(t1, t);
+                }
+                return t0 <= t1;
+            });
+            if (clipped) {
+                return true;
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Answer a brunnel query from cached tiles, fetching only the missing tiles upstream
+     * Returns {data, status, date} as getQueryResponse() does
+     */
+    async getTiledResponse(tileQuery) {
+        const { templateKey, bounds, blockCount } = tileQuery;
+        const tiles = this.getTilesForBounds(bounds);
+        const tileData = [];
+        const missing = [];
+        const stale = [];
+        const fallbacks = [];
+        let staleDate = null;
+        const useStale = (cached) => {
+            tileData.push(cached.data);
+            if (!staleDate || cached.date < staleDate) {
+                staleDate = cached.date;
+            }
+        };
+        
+        for (const tile of tiles) {
+            const cached = this.getCachedTile(templateKey, tile);
+            if (!cached || cached.freshness === 'fallback') {
+                missing.push(tile);
+                if (cached) {
+                    fallbacks.push(cached);
+                }
+            } else if (cached.freshness === 'revalidate') {
+                stale.push(tile);
+                useStale(cached);
+            } else {
+                tileData.push(cached.data);
+            }
+        }
+        
+        const label = templateKey.substring(0, 8);
+        this.stats.tileHits += tiles.length - missing.length;
+        this.stats.tileMisses += missing.length;
+        if (missing.length === 0) {
+            console.log(`✓ Tile cache hit for ${label}... (${tiles.length} tiles)`);
+        } else {
+            console.log(`✗ Tile cache: ${missing.length} of ${tiles.length} tiles missing for ${label}...`);
+        }
+        
+        if (stale.length > 0) {
+            console.log(`↻ Serving ${stale.length} stale tiles for ${label}... while refreshing them`);
+            const staleKey = `${templateKey}/${stale.map(tile => `${tile.row}_${tile.col}`).join(',')}`;
+            this.revalidate(staleKey, async () => {
+                const { unsplit } = await this.fetchTiles(tileQuery, stale);
+                if (unsplit) {
+                    throw new Error("response can't be split into tiles");
+                }
+            });
+        }
+        
+        // Any stale tile makes the whole response stale, even when other tiles were just fetched
+        let status = stale.length > 0 ? 'STALE' : missing.length > 0 ? 'MISS' : 'HIT';
+        try {
+            const fetched = await this.fetchTiles(tileQuery, missing);
+            if (fetched.unsplit) {
+                // Pass the response on uncached rather than sending the query upstream a second time
+                this.stats.misses++;
+                return { data: fetched.unsplit, status: 'MISS', date: null };
+            }
+            tileData.push(...fetched.tileData);
+        } catch (error) {
+            // Stale copies can stand in only if there is one for every missing tile
+            if (fallbacks.length < missing.length) {
+                throw error;
+            }
+            console.warn(`⚠ ${error.message}; serving ${missing.length} stale tiles for ${label}...`);
+            fallbacks.forEach(useStale);
+            status = 'STALE-IF-ERROR';
+            this.stats.staleOnError++;
+        }
+        
+        if (status === 'STALE') {
+            this.stats.staleHits++;
+        } else {
+            this.stats[status === 'HIT' ? 'hits' : 'misses']++;
+        }
+        return { data: this.assembleTiles(tileData, bounds, blockCount), status, date: staleDate };
+    }
+    
+    /**
+     * Fetch tiles upstream, one request per rectangle of adjacent tiles, and cache them
+     * Returns {tileData, unsplit}: the tiles' data, and the first upstream response that couldn't be
+     * split into tiles (an Overpass runtime error such as a timeout), after which fetching stops
+     */
+    async fetchTiles(tileQuery, tiles) {
+        const { templateKey, timeout, body, blockCount } = tileQuery;
+        const label = templateKey.substring(0, 8);
+        const tileData = [];
+        
+        for (const rectangle of this.groupTiles(tiles)) {
+            const { minLat, minLon, maxLat, maxLon } = rectangle.bounds;
+            const responseData = await this.fetchUpstream(
+                `[out:json][timeout:${timeout}][bbox:${minLat},${minLon},${maxLat},${maxLon}];${body}`
+            );
+            
+            const blocks = this.splitBlocks(responseData, blockCount);
+            if (!blocks) {
+                console.warn(`⚠ Response for ${label}... can't be split into tiles; passing it on uncached`);
+                return { tileData, unsplit: responseData };
+            }
+            
+            const { elements, ...meta } = responseData;
+            for (const tile of rectangle.tiles) {
+                const data = {
+                    bounds: tile.bounds,
+                    meta,
+                    blocks: blocks.map(ways => ways.filter(way => this.wayIntersectsBounds(way, tile.bounds)))
+                };
+                this.saveTile(templateKey, tile, data);
+                tileData.push(data);
+            }
+            console.log(`✓ Cached ${rectangle.tiles.length} tiles for ${label}...`);
+        }
+        
+        return { tileData, unsplit: null };
+    }
+    
+    /**
+     * Build an Overpass response for a bounding box from cached tiles
+     * Ways on several tiles are returned once, and ways outside the box are left out
+     */
+    assembleTiles(tileData, bounds, blockCount) {
+        const elements = [];
+        
+        for (let i = 0; i < blockCount; i++) {
+            const ways = new Map();
+            for (const data of tileData) {
+                for (const way of data.blocks[i]) {
+                    if (!ways.has(way.id) && this.wayIntersectsBounds(way, bounds)) {
+                        ways.set(way.id, way);
+                    }
+                }
+            }
+            
+            const count = String(ways.size);
+            elements.push({
+                type: 'count',
+                id: 0,
+                tags: { nodes: '0', ways: count, relations: '0', areas: '0', total: count }
+            });
+            elements.push(...ways.values());
+        }
+        
+        return { ...(tileData.length > 0 ? tileData[0].meta : {}), elements };
+    }
+    
+    /**
+     * Send a query upstream through the queue, sharing the request with an identical query already in flight
+     */
+    fetchUpstream(queryData) {
+        const key = this.getCacheKey(queryData);
+        
+        if (this.inFlight.has(key)) {
+            console.log(`↺ Joining in-flight request for ${key.substring(0, 8)}...`);
+            this.stats.coalesced++;
+            return this.inFlight.get(key);
+        }
+        
+        const request = this.enqueue(() => this.fetchWhenSlotAvailable(queryData))
+            .finally(() => this.inFlight.delete(key));
+        this.inFlight.set(key, request);
+        return request;
+    }
+    
+    /**
+     * Run an upstream task once a slot is free
+     * The limit is the configured concurrency, or the rate limit Overpass reports if that is lower
+     */
+    enqueue(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            if (this.activeRequests >= this.getSlotLimit()) {
+                console.log(`… Queued upstream request (${this.queue.length} waiting)`);
+            }
+            this.drainQueue();
+        });
+    }
+    
+    /**
+     * Start queued upstream tasks while slots are free
+     */
+    drainQueue() {
+        while (this.queue.length > 0 && this.activeRequests < this.getSlotLimit()) {
+            const { task, resolve, reject } = this.queue.shift();
+            this.activeRequests++;
+            task()
+                .then(resolve, reject)
+                .finally(() => {
+                    this.activeRequests--;
+                    this.drainQueue();
+                });
+        }
+    }
+    
+    /**
+     * Get the number of upstream requests allowed at once
+     */
+    getSlotLimit() {
+        return this.upstreamRateLimit > 0 ? Math.min(this.concurrency, this.upstreamRateLimit) : this.concurrency;
+    }
+    
+    /**
+     * Fetch a query once Overpass reports a free slot, waiting and trying again if it still answers 429
+     */
+    async fetchWhenSlotAvailable(queryData) {
+        for (let attempt = 1; ; attempt++) {
+            await this.waitForSlot();
+            
+            try {
+                return await this.fetchFromOverpass(queryData);
+            } catch (error) {
+                if (!error.message.includes('Rate limited') || attempt >= this.maxRateLimitRetries) {
+                    throw error;
+                }
+                
+                // The status check can't see every limit, so back off before asking again
+                const delay = this.rateLimitBackoff * 2 ** (attempt - 1);
+                console.log(
+                    `⚠ Rate limited; waiting ${delay / 1000}s and for a slot before attempt ${attempt + 1} of ${this.maxRateLimitRetries}`
+                );
+                await this.sleep(delay);
+            }
+        }
+    }
+    
+    /**
+     * Wait until Overpass reports a free slot in /api/status, or for maxSlotWait at most
+     * When running queries hold every slot, Overpass gives no time for the next one, so the
+     * status is polled until one frees up
+     */
+    async waitForSlot() {
+        const started = Date.now();
+        
+        for (;;) {
+            const status = await this.fetchStatus();
+            if (!status) {
+                return;
+            }
+            
+            this.upstreamRateLimit = status.rateLimit;
+            if (status.rateLimit === 0 || status.slotsAvailable > 0) {
+                return;
+            }
+            
+            if (Date.now() - started >= this.maxSlotWait) {
+                console.log(`⚠ No Overpass slot after ${this.maxSlotWait / 1000}s; trying anyway`);
+                return;
+            }
+            
+            // Check again once the next slot is due, at least a second from now
+            const delay = status.waitSeconds !== null ? Math.max(1000, status.waitSeconds * 1000) : this.slotPollInterval;
+            console.log(`… Waiting ${delay / 1000}s for an Overpass slot`);
+            await this.sleep(delay);
+        }
+    }
+    
+    /**
+     * Wait for a number of milliseconds
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+    
+    /**
+     * Read the slot status Overpass reports for this client
+     * Returns {rateLimit, slotsAvailable, waitSeconds}, or null if the status can't be read
+     * (waitSeconds is the time until the next slot frees up, null if none is pending)
+     */
+    fetchStatus() {
+        return new Promise((resolve) => {
+            const client = this.statusUrl.startsWith('http:') ? http : https;
+            const req = client.get(this.statusUrl, { timeout: 10000 }, (res) => {
+                let text = '';
+                res.on('data', (chunk) => {
+                    text += chunk;
+                });
+                res.on('end', () => {
+                    resolve(res.statusCode === 200 ? this.parseStatus(text) : null);
+                });
+            });
+            
+            req.on('timeout', () => req.destroy(new Error('Status request timed out')));
+            req.on('error', (error) => {
+                console.warn(`Overpass status unavailable: ${error.message}`);
+                resolve(null);
+            });
+        });
+    }
+    
+    /**
+     * Parse the text of Overpass /api/status
+     * e.g. "Rate limit: 2", "1 slots available now." or "Slot available after: ..., in 12 seconds."
+     */
+    parseStatus(text) {
+        const rateLimit = text.match(/^Rate limit: (\d+)/m);
+        if (!rateLimit) {
+            return null;
+        }
+        
+        const available = text.match(/^(\d+) slots? available now/m);
+        const waits = [...text.matchAll(/^Slot available after: .*, in (-?\d+) seconds?\./gm)]
+            .map(match => Math.max(0, Number(match[1])));
+        
+        return {
+            rateLimit: Number(rateLimit[1]),
+            slotsAvailable: available ? Number(available[1]) : 0,
+            waitSeconds: waits.length > 0 ? Math.min(...waits) : null
+        };
+    }
+    
+    /**
+     * Get the fixture file for a query in a record or replay directory
+     */
+    getFixturePath(dir, queryData) {
+        return path.join(dir, `${this.getCacheKey(queryData)}.json`);
+    }
+    
+    /**
+     * Store an upstream exchange as a fixture
+     * Fixtures are pretty-printed JSON named after the query hash, so they can be committed and diffed
+     */
+    recordExchange(queryData, responseData) {
+        const filePath = this.getFixturePath(this.recordDir, queryData);
+        const fixture = {
+            query: queryData,
+            upstream: this.overpassUrl,
+            recordedAt: new Date().toISOString(),
+            response: responseData
+        };
+        
+        try {
+            fs.writeFileSync(filePath, JSON.stringify(fixture, null, 2) + '\n');
+            console.log(`✓ Recorded ${path.basename(filePath)}`);
+        } catch (error) {
+            console.warn(`Fixture write error for ${path.basename(filePath)}: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Get the recorded response for a query, or null if it was never recorded
+     */
+    getRecordedResponse(queryData) {
+        const filePath = this.getFixturePath(this.replayDir, queryData);
+        
+        if (!fs.existsSync(filePath)) {
+            console.log(`✗ No recorded response for ${path.basename(filePath)}`);
+            return null;
+        }
+        
+        const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        console.log(`✓ Replayed ${path.basename(filePath)} (recorded ${fixture.recordedAt})`);
+        return fixture.response;
+    }
+    
     /**
      * Make request to Overpass API
      */
@@ -107,8 +998,10 @@ class OverpassCachingProxy {
             };
             
             console.log(`→ Requesting from Overpass API...`);
+            this.stats.upstreamRequests++;
             
-            const req = https.request(this.overpassUrl, options, (res) => {
+            const client = this.overpassUrl.startsWith('http:') ? http : https;
+            const req = client.request(this.overpassUrl, options, (res) => {
                 let data = '';
                 
                 res.on('data', (chunk) => {
@@ -149,11 +1042,28 @@ class OverpassCachingProxy {
      * Handle proxy request
      */
     async handleRequest(req, res) {
-        // Enable CORS headers
-        if (this.enableCors) {
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+        const isCacheApi = pathname === '/api/cache' || pathname.startsWith('/api/cache/');
+        
+        // The cache API can purge the cache, so other websites open in the browser must not reach it
+        if (isCacheApi && !this.isAppOrigin(req)) {
+            console.warn(`✗ Refused cache API request from ${req.headers.origin}`);
+            res.writeHead(403, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `Origin ${req.headers.origin} may not use the cache API (see --app-origin)` }));
+            return;
+        }
+        
+        // Enable CORS headers; the cache API only answers the app's origins
+        if (this.enableCors && !isCacheApi) {
             res.setHeader('Access-Control-Allow-Origin', '*');
             res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
             res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+            res.setHeader('Access-Control-Expose-Headers', 'X-Cache, X-Cache-Date');
+        } else if (this.enableCors && req.headers.origin) {
+            res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+            res.setHeader('Access-Control-Allow-Methods', 'GET, DELETE, OPTIONS');
+            res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+            res.setHeader('Vary', 'Origin');
         }
         
         // Handle OPTIONS request for CORS preflight
@@ -163,6 +1073,27 @@ class OverpassCachingProxy {
             return;
         }
         
+        // The web app itself, so that it and the proxy share one origin
+        if (this.appDir && (req.method === 'GET' || req.method === 'HEAD')) {
+            const filePath = this.getAppFilePath(pathname);
+            if (filePath) {
+                this.serveAppFile(req, res, filePath);
+                return;
+            }
+        }
+        
+        // Map tiles from local MBTiles files
+        if (pathname === '/tiles' || pathname.startsWith('/tiles/')) {
+            this.handleTileRequest(req, res, pathname);
+            return;
+        }
+        
+        // Cache management API
+        if (pathname === '/api/cache' || pathname.startsWith('/api/cache/')) {
+            this.handleCacheRequest(req, res, pathname, searchParams);
+            return;
+        }
+        
         // Only handle POST requests to /api/interpreter path
         if (req.method !== 'POST' || !req.url.endsWith('/api/interpreter')) {
             res.writeHead(404, { 'Content-Type': 'application/json' });
@@ -189,23 +1120,46 @@ class OverpassCachingProxy {
                         return;
                     }
                     
-                    const cacheKey = this.getCacheKey(queryData);
-                    
-                    // Check cache first
-                    let responseData = this.getCachedResponse(cacheKey);
+                    // Replay mode answers only from fixtures, so an analysis runs exactly as recorded
+                    if (this.replayDir) {
+                        const recorded = this.getRecordedResponse(queryData);
+                        if (!recorded) {
+                            res.writeHead(404, 'No Recorded Response', { 'Content-Type': 'application/json' });
+                            res.end(JSON.stringify({
+                                error: `No recorded response for this query in ${this.replayDir} (replay mode). ` +
+                                    'Record it first with --record.'
+                            }));
+                            return;
+                        }
+                        res.writeHead(200, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify(recorded));
+                        return;
+                    }
                     
-                    if (!responseData) {
-                        // Cache miss - fetch from Overpass API
-                        console.log(`✗ Cache miss for ${cacheKey.substring(0, 8)}...`);
-                        responseData = await this.fetchFromOverpass(queryData);
-                        
-                        // Save to cache
-                        this.saveToCache(cacheKey, responseData);
+                    // Record mode bypasses the cache, so that every query is fetched and stored as it was sent
+                    if (this.recordDir) {
+                        const responseData = await this.fetchUpstream(queryData);
+                        this.recordExchange(queryData, responseData);
+                        res.writeHead(200, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify(responseData));
+                        return;
                     }
                     
-                    // Return response
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify(responseData));
+                    // Bounding box brunnel queries are answered tile by tile, so that nearby
+                    // and overlapping queries reuse each other's results; other queries are cached
+                    // by their exact text
+                    const tileQuery = this.parseTileQuery(queryData);
+                    const result = tileQuery
+                        ? await this.getTiledResponse(tileQuery)
+                        : await this.getQueryResponse(queryData);
+                    
+                    // Return response; stale data is dated so the app can say how old it is
+                    const headers = { 'Content-Type': 'application/json', 'X-Cache': result.status };
+                    if (result.status.startsWith('STALE')) {
+                        headers['X-Cache-Date'] = result.date.toUTCString();
+                    }
+                    res.writeHead(200, headers);
+                    res.end(JSON.stringify(result.data));
                     
                 } catch (error) {
                     console.error(`Request handling error: ${error.message}`);
@@ -223,10 +1177,405 @@ class OverpassCachingProxy {
         }
     }
     
+    /**
+     * Check whether a request may use the cache API: requests from this server's own pages
+     * (--serve-app), from appOrigins, or from outside a browser (no Origin header, e.g. curl)
+     * The own pages are matched by the addresses the proxy listens on, not by the Host header,
+     * which a page on a DNS-rebound hostname controls
+     */
+    isAppOrigin(req) {
+        const origin = req.headers.origin;
+        const ownOrigins = [`http://localhost:${this.port}`, `http://127.0.0.1:${this.port}`];
+        return !origin || ownOrigins.includes(origin) || this.appOrigins.includes(origin);
+    }
+    
+    /**
+     * Handle cache management requests
+     *   GET    /api/cache                  Totals, hit/miss counters, upstream queue and settings
+     *   GET    /api/cache/entries          Entries with age, size and bbox (?bbox=s,w,n,e to filter)
+     *   DELETE /api/cache/entries          Purge all entries, or those intersecting ?bbox=s,w,n,e
+     *   DELETE /api/cache/entries/<id>     Purge one entry
+     */
+    handleCacheRequest(req, res, pathname, searchParams) {
+        const sendJSON = (status, data) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(data));
+        };
+        
+        try {
+            const bounds = searchParams.has('bbox') ? this.parseBBox(searchParams.get('bbox')) : null;
+            if (searchParams.has('bbox') && !bounds) {
+                sendJSON(400, { error: 'bbox must be south,west,north,east' });
+                return;
+            }
+            
+            if (pathname === '/api/cache' && req.method === 'GET') {
+                const entries = this.listCacheEntries(false);
+                sendJSON(200, {
+                    entries: entries.length,
+                    queries: entries.filter(entry => entry.type === 'query').length,
+                    tiles: entries.filter(entry => entry.type === 'tile').length,
+                    size: this.cacheSize,
+                    maxSize: this.maxSize,
+                    stats: this.stats,
+                    upstream: {
+                        active: this.activeRequests,
+                        queued: this.queue.length,
+                        slots: this.getSlotLimit()
+                    },
+                    maxAge: this.maxAge / 1000,
+                    staleWhileRevalidate: this.staleWhileRevalidate / 1000,
+                    staleIfError: this.staleIfError / 1000,
+                    tileSize: this.tileSize
+                });
+            } else if (pathname === '/api/cache/entries' && req.method === 'GET') {
+                const entries = this.listCacheEntries()
+                    .filter(entry => !bounds || (entry.bounds && this.boundsIntersect(entry.bounds, bounds)));
+                sendJSON(200, { entries });
+            } else if (pathname === '/api/cache/entries' && req.method === 'DELETE') {
+                const purged = this.purgeCacheEntries(bounds);
+                console.log(`✓ Purged ${purged} cache entries${bounds ? ` in ${searchParams.get('bbox')}` : ''}`);
+                sendJSON(200, { purged });
+            } else if (pathname.startsWith('/api/cache/entries/') && req.method === 'DELETE') {
+                const id = decodeURIComponent(pathname.slice('/api/cache/entries/'.length));
+                if (!this.purgeCacheEntry(id)) {
+                    sendJSON(404, { error: `No cache entry ${id}` });
+                    return;
+                }
+                console.log(`✓ Purged cache entry ${id}`);
+                sendJSON(200, { purged: 1 });
+            } else {
+                sendJSON(404, { error: 'Not found' });
+            }
+        } catch (error) {
+            console.error(`Cache request error: ${error.message}`);
+            sendJSON(500, { error: error.message });
+        }
+    }
+    
+    /**
+     * Parse a south,west,north,east bounding box, as used in Overpass queries
+     */
+    parseBBox(text) {
+        const values = text.split(',').map(Number);
+        if (values.length !== 4 || values.some(value => Number.isNaN(value))) {
+            return null;
+        }
+        const [minLat, minLon, maxLat, maxLon] = values;
+        return { minLat, minLon, maxLat, maxLon };
+    }
+    
+    /**
+     * Check whether two bounding boxes overlap
+     */
+    boundsIntersect(a, b) {
+        return a.minLat <= b.maxLat && a.maxLat >= b.minLat && a.minLon <= b.maxLon && a.maxLon >= b.minLon;
+    }
+    
+    /**
+     * List cached queries and tiles
+     * Each entry is {id, type, size (bytes), age and lastAccess (seconds ago), expired, bounds};
+     * bounds is null for entries saved before queries were stored with their responses, or when
+     * withBounds is false (reading them means decompressing every entry)
+     */
+    listCacheEntries(withBounds = true) {
+        const entries = [];
+        const secondsAgo = time => Math.round((Date.now() - time.getTime()) / 1000);
+        
+        for (const { id, type, filePath } of this.getCacheFiles()) {
+            try {
+                const stats = fs.statSync(filePath);
+                const entry = {
+                    id,
+                    type,
+                    size: stats.size,
+                    age: secondsAgo(stats.mtime),
+                    lastAccess: secondsAgo(stats.atime),
+                    expired: !this.isCacheValid(filePath),
+                    bounds: null
+                };
+                
+                // Read without readEntry() so that listing doesn't count as an access
+                if (withBounds) {
+                    const data = JSON.parse(zlib.gunzipSync(fs.readFileSync(filePath)));
+                    if (type === 'tile') {
+                        entry.bounds = data.bounds || null;
+                    } else {
+                        const match = typeof data.query === 'string' && data.query.match(/\[bbox:([^\]]+)\]/);
+                        entry.bounds = match ? this.parseBBox(match[1]) : null;
+                    }
+                }
+                
+                entries.push(entry);
+            } catch (error) {
+                console.warn(`Cache entry error for ${id}: ${error.message}`);
+            }
+        }
+        
+        return entries;
+    }
+    
+    /**
+     * Delete one cache entry by the id from listCacheEntries()
+     * Returns false if there is no such entry
+     */
+    purgeCacheEntry(id) {
+        // Ids are file paths inside the cache directory, so only accept the two shapes we create
+        if (!/^([0-9a-f]{64}|tiles\/[0-9a-f]{64}\/-?\d+_-?\d+)$/.test(id)) {
+            return false;
+        }
+        
+        const filePath = this.getEntryPath(id);
+        if (!fs.existsSync(filePath)) {
+            return false;
+        }
+        this.removeEntry(filePath);
+        return true;
+    }
+    
+    /**
+     * Delete all cache entries, or only those intersecting a bounding box
+     * Returns the number of entries deleted
+     */
+    purgeCacheEntries(bounds = null) {
+        let purged = 0;
+        
+        for (const entry of this.listCacheEntries()) {
+            if (bounds && !(entry.bounds && this.boundsIntersect(entry.bounds, bounds))) continue;
+            
+            if (this.purgeCacheEntry(entry.id)) {
+                purged++;
+            }
+        }
+        
+        return purged;
+    }
+    
+    /**
+     * Map a request path to a file of the web app
+     * Returns null for anything outside APP_PATHS, so that the cache and other files stay private
+     */
+    getAppFilePath(pathname) {
+        let relativePath;
+        try {
+            relativePath = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).slice(1);
+        } catch (error) {
+            return null;
+        }
+        
+        const filePath = path.join(this.appDir, relativePath);
+        const allowed = APP_PATHS.some(appPath => appPath.endsWith('/')
+            ? filePath.startsWith(path.join(this.appDir, appPath))
+            : filePath === path.join(this.appDir, appPath));
+        return allowed ? filePath : null;
+    }
+    
+    /**
+     * Serve a file of the web app, revalidated by ETag on every load so that edits show up at once
+     * index.html gets a <meta name="brunnels-proxy"> tag telling the app to query this server
+     */
+    serveAppFile(req, res, filePath) {
+        let content;
+        try {
+            content = fs.readFileSync(filePath);
+        } catch (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+            return;
+        }
+        
+        if (filePath === path.join(this.appDir, 'index.html')) {
+            content = Buffer.from(content.toString('utf8').replace(
+                '</head>',
+                '    <meta name="brunnels-proxy" content="/api/interpreter">\n</head>'
+            ));
+        }
+        
+        const etag = `"${crypto.createHash('sha256').update(content).digest('hex').substring(0, 16)}"`;
+        const headers = {
+            'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream',
+            'Cache-Control': 'no-cache',
+            'ETag': etag
+        };
+        
+        if (req.headers['if-none-match'] === etag) {
+            res.writeHead(304, headers);
+            res.end();
+            return;
+        }
+        
+        res.writeHead(200, { ...headers, 'Content-Length': content.length });
+        res.end(req.method === 'HEAD' ? undefined : content);
+    }
+    
+    /**
+     * Open the MBTiles files given with --mbtiles, each served as a tileset named after its file
+     * Throws if a file can't be served, so that a missing or broken file stops the server at startup
+     */
+    async openTilesets() {
+        for (const filePath of this.mbtilesFiles) {
+            const id = path.basename(filePath, path.extname(filePath)).replace(/[^\w.-]/g, '_');
+            let db = null;
+            try {
+                if (!fs.existsSync(filePath)) {
+                    throw new Error('file not found');
+                }
+                if (this.tilesets.has(id)) {
+                    throw new Error(`another file is already served as ${id}`);
+                }
+                
+                db = await this.openDatabase(filePath);
+                const metadata = Object.fromEntries(
+                    db.all('SELECT name, value FROM metadata').map(row => [row.name, row.value])
+                );
+                const format = (metadata.format || 'png').toLowerCase();
+                if (!TILE_MIME_TYPES[format]) {
+                    throw new Error(`${format} tiles can't be shown by the app (${Object.keys(TILE_MIME_TYPES).join(', ')} only)`);
+                }
+                
+                // Files without a zoom range in their metadata get the one of their tiles
+                const [zoomRange] = db.all('SELECT MIN(zoom_level) AS minZoom, MAX(zoom_level) AS maxZoom FROM tiles');
+                const tileset = {
+                    name: metadata.name || id,
+                    format,
+                    minZoom: parseInt(metadata.minzoom) || zoomRange.minZoom || 0,
+                    maxZoom: parseInt(metadata.maxzoom) || zoomRange.maxZoom || 0,
+                    attribution: metadata.attribution || '',
+                    readTile: db.prepare('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?')
+                };
+                this.tilesets.set(id, tileset);
+                console.log(`✓ Serving ${path.basename(filePath)} as /tiles/${id} (${format}, zoom ${tileset.minZoom}-${tileset.maxZoom}, ${db.engine})`);
+            } catch (error) {
+                if (db) {
+                    db.close();
+                }
+                throw new Error(`Cannot serve ${filePath}: ${error.message}`);
+            }
+        }
+    }
+    
+    /**
+     * Open an SQLite database read-only as {engine, all(sql), prepare(sql), close()}
+     * prepare() returns a function that runs the statement with its arguments and returns the first
+     * row or undefined. node:sqlite (Node.js 22.5 or later) reads from disk; on older versions sql.js
+     * reads the whole file into memory
+     */
+    async openDatabase(filePath) {
+        let DatabaseSync = null;
+        try {
+            ({ DatabaseSync } = require('node:sqlite'));
+        } catch (error) {
+            // Missing before Node.js 22.5, and behind --experimental-sqlite until 22.13
+        }
+        
+        if (DatabaseSync) {
+            const db = new DatabaseSync(filePath, { readOnly: true });
+            return {
+                engine: 'node:sqlite',
+                all: sql => db.prepare(sql).all(),
+                prepare: (sql) => {
+                    const statement = db.prepare(sql);
+                    return (...params) => statement.get(...params);
+                },
+                close: () => db.close()
+            };
+        }
+        
+        const initSqlJs = require('sql.js');
+        const SQL = await initSqlJs();
+        const db = new SQL.Database(fs.readFileSync(filePath));
+        return {
+            engine: 'sql.js',
+            all: (sql) => {
+                const [result] = db.exec(sql);
+                return result
+                    ? result.values.map(values => Object.fromEntries(result.columns.map((column, i) => [column, values[i]])))
+                    : [];
+            },
+            prepare: (sql) => {
+                const statement = db.prepare(sql);
+                return (...params) => {
+                    try {
+                        statement.bind(params);
+                        return statement.step() ? statement.getAsObject() : undefined;
+                    } finally {
+                        statement.reset();
+                    }
+                };
+            },
+            close: () => db.close()
+        };
+    }
+    
+    /**
+     * Handle map tile requests
+     *   GET /tiles                           Tilesets with their URL templates, attribution and zoom range
+     *   GET /tiles/<id>/<z>/<x>/<y>.<format> One tile, numbered like OpenStreetMap tiles (rows from the north)
+     */
+    handleTileRequest(req, res, pathname) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Method not allowed' }));
+            return;
+        }
+        
+        if (pathname === '/tiles' || pathname === '/tiles/') {
+            const tilesets = [...this.tilesets].map(([id, tileset]) => ({
+                id,
+                name: tileset.name,
+                url: `/tiles/${id}/{z}/{x}/{y}.${tileset.format}`,
+                attribution: tileset.attribution,
+                format: tileset.format,
+                minZoom: tileset.minZoom,
+                maxZoom: tileset.maxZoom
+            }));
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ tilesets }));
+            return;
+        }
+        
+        const match = pathname.match(/^\/tiles\/([\w.-]+)\/(\d+)\/(\d+)\/(\d+)(\.\w+)?$/);
+        const tileset = match ? this.tilesets.get(match[1]) : null;
+        if (!tileset) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Not found' }));
+            return;
+        }
+        
+        // MBTiles number rows from the south (TMS)
+        const [zoom, column, row] = match.slice(2, 5).map(Number);
+        let tile;
+        try {
+            tile = tileset.readTile(zoom, column, 2 ** zoom - 1 - row);
+        } catch (error) {
+            console.error(`Tile read error: ${error.message}`);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: error.message }));
+            return;
+        }
+        
+        // Tiles outside the file's area or zoom range are missing; Leaflet leaves them blank
+        if (!tile) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Tile not found' }));
+            return;
+        }
+        
+        const data = Buffer.from(tile.tile_data);
+        res.writeHead(200, {
+            'Content-Type': TILE_MIME_TYPES[tileset.format],
+            'Content-Length': data.length,
+            'Cache-Control': 'public, max-age=86400'
+        });
+        res.end(req.method === 'HEAD' ? undefined : data);
+    }
+    
     /**
      * Start the proxy server
      */
-    start() {
+    async start() {
+        await this.openTilesets();
+        
         const server = http.createServer((req, res) => {
             this.handleRequest(req, res);
         });
@@ -234,7 +1583,14 @@ class OverpassCachingProxy {
         server.listen(this.port, () => {
             console.log(`✓ Overpass caching proxy running on http://localhost:${this.port}`);
             console.log(`  Use http://localhost:${this.port}/api/interpreter instead of Overpass API`);
+            console.log(`  Cache status and management at http://localhost:${this.port}/api/cache (for ${this.appOrigins.join(', ')})`);
             console.log(`  Cache directory: ${this.cacheDir}`);
+            if (this.appDir) {
+                console.log(`✓ Brunnels app at http://localhost:${this.port}/`);
+            }
+            if (this.tilesets.size > 0) {
+                console.log(`  Map tiles listed at http://localhost:${this.port}/tiles`);
+            }
             console.log();
         });
         
@@ -249,13 +1605,20 @@ class OverpassCachingProxy {
         let cleaned = 0;
         
         try {
-            const files = fs.readdirSync(this.cacheDir);
-            for (const file of files) {
-                if (file.endsWith('.json')) {
-                    const filePath = path.join(this.cacheDir, file);
-                    if (!this.isCacheValid(filePath)) {
-                        fs.unlinkSync(filePath);
-                        cleaned++;
+            // Stale entries are kept while they can still be served (see getFreshness)
+            for (const { filePath } of this.getCacheFiles()) {
+                if (!this.isCacheUsable(filePath)) {
+                    this.removeEntry(filePath);
+                    cleaned++;
+                }
+            }
+            
+            // Tiles are stored per query template; drop templates with no tiles left
+            if (fs.existsSync(this.tileDir)) {
+                for (const templateKey of fs.readdirSync(this.tileDir)) {
+                    const templateDir = path.join(this.tileDir, templateKey);
+                    if (fs.readdirSync(templateDir).length === 0) {
+                        fs.rmdirSync(templateDir);
                     }
                 }
             }
@@ -284,6 +1647,48 @@ if (require.main === module) {
             case '--max-age':
                 options.maxAge = parseInt(args[++i]) * 1000 || 24 * 60 * 60 * 1000;
                 break;
+            case '--max-size':
+                options.maxSize = parseFloat(args[++i]) * 1024 * 1024;
+                if (Number.isNaN(options.maxSize)) {
+                    options.maxSize = undefined;
+                }
+                break;
+            case '--stale-while-revalidate':
+                options.staleWhileRevalidate = parseInt(args[++i]) * 1000;
+                if (Number.isNaN(options.staleWhileRevalidate)) {
+                    options.staleWhileRevalidate = undefined;
+                }
+                break;
+            case '--stale-if-error':
+                options.staleIfError = parseInt(args[++i]) * 1000;
+                if (Number.isNaN(options.staleIfError)) {
+                    options.staleIfError = undefined;
+                }
+                break;
+            case '--upstream':
+                options.overpassUrl = args[++i];
+                break;
+            case '--concurrency':
+                options.concurrency = parseInt(args[++i]) || 2;
+                break;
+            case '--tile-size':
+                options.tileSize = parseFloat(args[++i]) || 0.1;
+                break;
+            case '--record':
+                options.recordDir = args[++i];
+                break;
+            case '--replay':
+                options.replayDir = args[++i];
+                break;
+            case '--serve-app':
+                options.serveApp = true;
+                break;
+            case '--mbtiles':
+                options.mbtiles = [...(options.mbtiles || []), args[++i]];
+                break;
+            case '--app-origin':
+                options.appOrigins = [...(options.appOrigins || []), args[++i]];
+                break;
             case '--no-cors':
                 options.enableCors = false;
                 break;
@@ -302,6 +1707,31 @@ Options:
   --port <number>       Port to run proxy on (default: 3001)
   --cache-dir <path>    Cache directory path (default: .overpass-cache)
   --max-age <seconds>   Cache max age in seconds (default: 86400)
+  --stale-while-revalidate <seconds>
+                        After max age, serve entries at once and refresh them in the
+                        background for this long; 0 to disable (default: 86400)
+  --stale-if-error <seconds>
+                        After max age, keep entries for this long and serve them when
+                        Overpass fails (default: 604800)
+  --max-size <MB>       Cache size limit; least recently used entries are evicted beyond it,
+                        0 for no limit (default: 500)
+  --tile-size <degrees> Size of the tiles bounding box queries are cached in (default: 0.1)
+  --upstream <url>      Overpass API to forward requests to (default: overpass-api.de)
+  --concurrency <n>     Upstream requests in flight at once; identical queries share one
+                        request, and the rest wait in line for a free slot (default: 2)
+  --record <dir>        Fetch every query upstream (bypassing the cache) and store each
+                        exchange in <dir> as a JSON fixture named after the query hash
+  --replay <dir>        Answer only from fixtures in <dir>; unknown queries fail with 404
+                        instead of going upstream. Only Overpass is replayed: add --serve-app
+                        and --mbtiles to run the app without a network
+  --serve-app          Also serve the web app (index.html, styles.css, js/, icons/, vendor/), so
+                        that a single server runs everything on one origin
+  --mbtiles <file>      Serve raster map tiles from an MBTiles file at /tiles/<name>/{z}/{x}/{y};
+                        the app offers them as base layers. Repeat for several files
+                        (before Node.js 22.5 each file is read into memory)
+  --app-origin <origin> Origin of a page allowed to use the cache API, which other websites
+                        can't reach; repeat for several (default: http://localhost:8000 and
+                        http://127.0.0.1:8000; the proxy's own origin is always allowed)
   --no-cors            Disable CORS headers
   --clean              Clean expired cache entries and exit
   --help               Show this help
@@ -310,7 +1740,14 @@ Examples:
   node proxy-server.js                    # Start with defaults
   node proxy-server.js --port 3002        # Custom port
   node proxy-server.js --max-age 7200     # 2 hour cache
+  node proxy-server.js --max-size 2048    # 2 GB cache
   node proxy-server.js --clean            # Clean cache
+  node proxy-server.js --serve-app        # App and proxy at http://localhost:3001/
+  node proxy-server.js --serve-app --mbtiles region.mbtiles   # ...with offline map tiles
+  node proxy-server.js --record fixtures/overpass   # Record a session
+  node proxy-server.js --replay fixtures/overpass   # Replay its Overpass queries without a network
+  node proxy-server.js --serve-app --replay fixtures/overpass --mbtiles region.mbtiles
+                                          # ...and run the whole app offline
 `);
                 process.exit(0);
                 break;
@@ -318,10 +1755,15 @@ Examples:
     }
     
     const proxy = new OverpassCachingProxy(options);
-    proxy.start();
-    
-    // Clean cache on startup
-    proxy.cleanCache();
+    proxy.start()
+        .then(() => {
+            // Clean cache on startup
+            proxy.cleanCache();
+        })
+        .catch((error) => {
+            console.error(`✗ ${error.message}`);
+            process.exit(1);
+        });
     
     // Set up graceful shutdown
     process.on('SIGINT', () => {
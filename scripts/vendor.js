@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+/**
+ * Copy the browser libraries the web app loads into vendor/
+ *
+ * The app is served as static files, so it loads its libraries from vendor/ rather than
+ * from a CDN and works offline. Run `npm run vendor` after updating any of them in
+ * package.json, and commit the result.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const VENDOR_DIR = path.join(ROOT, 'vendor');
+
+// Files to copy, from node_modules to vendor/ (paths ending in / are directories)
+const FILES = [
+    ['leaflet/dist/leaflet.js', 'leaflet/leaflet.js'],
+    ['leaflet/dist/leaflet.css', 'leaflet/leaflet.css'],
+    ['leaflet/dist/images/', 'leaflet/images/'],
+    ['leaflet/LICENSE', 'leaflet/LICENSE'],
+    ['@turf/turf/turf.min.js', 'turf/turf.min.js'],
+    ['@turf/turf/LICENSE', 'turf/LICENSE'],
+    ['gpxparser/dist/GPXParser.min.js', 'gpxparser/gpxparser.min.js'],
+    ['gpxparser/LICENSE', 'gpxparser/LICENSE'],
+    ['lodash/lodash.min.js', 'lodash/lodash.min.js'],
+    ['lodash/LICENSE', 'lodash/LICENSE']
+];
+
+fs.rmSync(VENDOR_DIR, { recursive: true, force: true });
+
+for (const [source, target] of FILES) {
+    const sourcePath = path.join(ROOT, 'node_modules', source);
+    const targetPath = path.join(VENDOR_DIR, target);
+
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    fs.cpSync(sourcePath, targetPath, { recursive: source.endsWith('/') });
+    console.log(`✓ ${source} → vendor/${target}`);
+}
+
@@ -0,0 +1,68 @@
+/**
+ * Tests for the library entry points in lib/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const brunnels = require('../lib');
+
+// A short route across a bridge, and an Overpass response with that bridge
+const COORDINATES = [
+    { lat: 47.0, lon: 8.0 },
+    { lat: 47.0, lon: 8.002 },
+    { lat: 47.0, lon: 8.004 }
+];
+const OVERPASS_DATA = {
+    elements: [
+        { type: 'count', id: 0, tags: { ways: '1' } },
+        {
+            type: 'way',
+            id: 1,
+            tags: { highway: 'primary', bridge: 'yes' },
+            geometry: [{ lat: 47.0, lon: 8.0015 }, { lat: 47.0, lon: 8.0025 }]
+        },
+        { type: 'count', id: 0, tags: { ways: '0' } }
+    ]
+};
+
+test('results are ordinary objects of the caller\'s realm', async () => {
+    const result = await brunnels.analyzeRoute(COORDINATES, {}, {
+        fetchOverpass: async () => OVERPASS_DATA
+    });
+
+    assert.ok(Array.isArray(result.brunnels));
+    assert.ok(result.brunnels instanceof Array);
+    assert.strictEqual(Object.getPrototypeOf(result), Object.prototype);
+    assert.strictEqual(Object.getPrototypeOf(result.overpassData), Object.prototype);
+    assert.ok(result.brunnels.every(brunnel => brunnel instanceof brunnels.Brunnel));
+});
+
+test('the library logs nothing by default', async (t) => {
+    const log = t.mock.method(console, 'log');
+    const warn = t.mock.method(console, 'warn');
+
+    await brunnels.analyzeRoute(COORDINATES, {}, { fetchOverpass: async () => OVERPASS_DATA });
+
+    assert.strictEqual(log.mock.callCount(), 0);
+    assert.strictEqual(warn.mock.callCount(), 0);
+});
+
+test('createBrunnels() logs to the console it is given', async () => {
+    const messages = [];
+    const record = (...args) => messages.push(args.join(' '));
+    const instance = brunnels.createBrunnels({
+        console: { log: record, info: record, warn: record, error: record, debug: record }
+    });
+
+    await instance.analyzeRoute(COORDINATES, {}, { fetchOverpass: async () => OVERPASS_DATA });
+
+    assert.ok(messages.length > 0);
+});
+
+test('the ES module exports the same classes as the CommonJS module', async () => {
+    const esm = await import('../lib/index.mjs');
+
+    assert.strictEqual(esm.Brunnel, brunnels.Brunnel);
+    assert.strictEqual(esm.analyzeRoute, brunnels.analyzeRoute);
+});
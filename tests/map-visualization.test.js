@@ -0,0 +1,145 @@
+/**
+ * Tests for js/map-visualization.js, run against Leaflet in a jsdom window
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const brunnels = require('../lib');
+
+// Leaflet looks for the browser globals when it is loaded; jsdom has no SVG layout, which
+// Leaflet only checks for before choosing its SVG renderer
+const dom = new JSDOM('<!DOCTYPE html>', {
+    pretendToBeVisual: true
+});
+global.window = dom.window;
+global.document = dom.window.document;
+global.navigator = dom.window.navigator;
+window.SVGElement.prototype.createSVGRect = () => ({});
+const L = require('leaflet');
+
+const MapVisualization = vm.compileFunction(
+    `${fs.readFileSync(path.join(__dirname, '..', 'js', 'map-visualization.js'), 'utf8')}\nreturn MapVisualization;`,
+    ['L', 'GeometryUtils', 'RouteIndex', 'Brunnel']
+)(L, brunnels.GeometryUtils, brunnels.RouteIndex, brunnels.Brunnel);
+
+// A short route across a bridge, and an Overpass response with that bridge
+const COORDINATES = [
+    { lat: 47.0, lon: 8.0 },
+    { lat: 47.0, lon: 8.002 },
+    { lat: 47.0, lon: 8.004 }
+];
+const OVERPASS_DATA = {
+    elements: [
+        { type: 'count', id: 0, tags: { ways: '1' } },
+        {
+            type: 'way',
+            id: 1,
+            tags: { highway: 'primary', bridge: 'yes' },
+            geometry: [{ lat: 47.0, lon: 8.0015 }, { lat: 47.0, lon: 8.0025 }]
+        },
+        { type: 'count', id: 0, tags: { ways: '0' } }
+    ]
+};
+
+/**
+ * Create a map visualization in a container of its own
+ */
+function createMapVisualization(t) {
+    const container = document.createElement('div');
+    container.id = `map-${t.name.replace(/\W+/g, '-')}`;
+    document.body.appendChild(container);
+    return new MapVisualization(container.id);
+}
+
+/**
+ * Show an analysis result on the map, as the app does after analysis, retry and refresh
+ */
+function showResult(mapVisualization, result) {
+    const bounds = brunnels.GeometryUtils.calculateBounds(COORDINATES);
+    bounds.center = { lat: (bounds.minLat + bounds.maxLat) / 2, lon: (bounds.minLon + bounds.maxLon) / 2 };
+
+    mapVisualization.initializeMap(bounds);
+    mapVisualization.updateMap(COORDINATES, { totalDistance: 300 }, result.brunnels);
+}
+
+test('a result can be shown again in the same map container', async (t) => {
+    const result = await brunnels.analyzeRoute(COORDINATES, {}, {
+        fetchOverpass: async () => OVERPASS_DATA
+    });
+    const mapVisualization = createMapVisualization(t);
+
+    showResult(mapVisualization, result);
+    const firstMap = mapVisualization.map;
+    showResult(mapVisualization, result);
+
+    assert.notStrictEqual(mapVisualization.map, firstMap);
+    assert.strictEqual(mapVisualization.map.getContainer().querySelectorAll('.leaflet-control-layers').length, 1);
+    assert.strictEqual(mapVisualization.map.getContainer().querySelectorAll('.map-legend').length, 1);
+    assert.strictEqual(mapVisualization.brunnelLayers.length, 1);
+    assert.ok(mapVisualization.map.hasLayer(mapVisualization.brunnelLayers[0]));
+    assert.ok(mapVisualization.map.hasLayer(mapVisualization.routeLayer));
+});
+
+test('a refreshed result without brunnels leaves none of the previous ones on the map', async (t) => {
+    const result = await brunnels.analyzeRoute(COORDINATES, {}, {
+        fetchOverpass: async () => OVERPASS_DATA
+    });
+    const mapVisualization = createMapVisualization(t);
+    showResult(mapVisualization, result);
+
+    // The app only draws the route when no brunnels are found
+    const bounds = brunnels.GeometryUtils.calculateBounds(COORDINATES);
+    bounds.center = { lat: 47.0, lon: 8.002 };
+    mapVisualization.initializeMap(bounds);
+    mapVisualization.addRoute(COORDINATES, { totalDistance: 300 });
+
+    assert.strictEqual(mapVisualization.brunnelLayers.length, 0);
+    assert.strictEqual(mapVisualization.findBrunnelByKey(result.brunnels[0].getKey()), null);
+    assert.strictEqual(mapVisualization.map.getContainer().querySelectorAll('.leaflet-overlay-pane path').length, 1);
+});
+
+test('a way that is both a bridge and a tunnel has a layer for each', async (t) => {
+    const way = {
+        type: 'way',
+        id: 1,
+        tags: { highway: 'primary', bridge: 'yes', tunnel: 'yes' },
+        geometry: [{ lat: 47.0, lon: 8.0015 }, { lat: 47.0, lon: 8.0025 }]
+    };
+    const result = await brunnels.analyzeRoute(COORDINATES, {}, {
+        fetchOverpass: async () => ({
+            elements: [
+                { type: 'count', id: 0, tags: { ways: '1' } },
+                way,
+                { type: 'count', id: 0, tags: { ways: '1' } },
+                way
+            ]
+        })
+    });
+    const mapVisualization = createMapVisualization(t);
+    showResult(mapVisualization, result);
+
+    assert.strictEqual(mapVisualization.brunnelLayers.length, 2);
+    assert.strictEqual(mapVisualization.findBrunnelByKey('bridge/1').type, 'bridge');
+    assert.strictEqual(mapVisualization.findBrunnelByKey('tunnel/1').type, 'tunnel');
+
+    mapVisualization.highlightBrunnel('tunnel/1', true);
+    assert.ok(mapVisualization.brunnelLayerMap.get('tunnel/1')._isHighlighted);
+    assert.ok(!mapVisualization.brunnelLayerMap.get('bridge/1')._isHighlighted);
+
+    const list = document.createElement('div');
+    list.innerHTML = ['bridge/1', 'tunnel/1']
+        .map(key => `<div class="brunnel-item" data-brunnel-key="${key}"></div>`)
+        .join('');
+    document.body.appendChild(list);
+    t.after(() => list.remove());
+
+    mapVisualization.highlightSidebarItem('bridge/1', true);
+    const [bridgeItem, tunnelItem] = list.querySelectorAll('.brunnel-item');
+    assert.strictEqual(bridgeItem.style.background, 'rgb(240, 240, 240)');
+    assert.strictEqual(tunnelItem.style.background, '');
+});
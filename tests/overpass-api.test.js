@@ -0,0 +1,190 @@
+/**
+ * Tests for OverpassAPI: fetchQuery() retry, backoff and failover against a local stand-in
+ * for Overpass, and the corridor built for poly: queries
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const turf = require('@turf/turf');
+
+const { OverpassAPI } = require('../lib');
+
+const RESPONSE = { version: 0.6, elements: [] };
+
+/**
+ * Start a stand-in server whose endpoints answer from scripts of responses
+ * Each script is a list of [status, headers]; the last entry repeats. Requests are logged by path.
+ */
+async function startStandIn(scripts) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const answered = requests.filter(path => path === pathname).length;
+        requests.push(pathname);
+        
+        const script = scripts[pathname] || [[404, {}]];
+        const [status, headers] = script[Math.min(answered, script.length - 1)];
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(status === 200 ? RESPONSE : { error: `Status ${status}` }));
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    return {
+        requests,
+        url: path => `${base}${path}`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Record the delays fetchQuery() waits for, without waiting
+ */
+function recordSleeps(t) {
+    const delays = [];
+    t.mock.method(OverpassAPI, 'sleep', async (ms) => {
+        delays.push(ms);
+    });
+    return delays;
+}
+
+test('retries 429 and 5xx responses with exponential backoff', async (t) => {
+    const standIn = await startStandIn({ '/a': [[429, {}], [503, {}], [200, {}]] });
+    t.after(standIn.close);
+    const delays = recordSleeps(t);
+    
+    const data = await OverpassAPI.fetchQuery('[out:json];', {
+        endpoints: [standIn.url('/a')],
+        maxAttempts: 3,
+        retryDelay: 100
+    });
+    
+    assert.deepStrictEqual(data, RESPONSE);
+    assert.deepStrictEqual(standIn.requests, ['/a', '/a', '/a']);
+    assert.deepStrictEqual(delays, [100, 200]);
+});
+
+test('waits as long as Retry-After asks', async (t) => {
+    const standIn = await startStandIn({ '/a': [[429, { 'Retry-After': '7' }], [200, {}]] });
+    t.after(standIn.close);
+    const delays = recordSleeps(t);
+    
+    await OverpassAPI.fetchQuery('[out:json];', { endpoints: [standIn.url('/a')], retryDelay: 100 });
+    
+    assert.deepStrictEqual(delays, [7000]);
+});
+
+test('fails over to the next endpoint in order once attempts run out', async (t) => {
+    const standIn = await startStandIn({
+        '/a': [[503, {}]],
+        '/b': [[502, {}]],
+        '/c': [[200, {}]]
+    });
+    t.after(standIn.close);
+    const delays = recordSleeps(t);
+    const statuses = [];
+    
+    const data = await OverpassAPI.fetchQuery('[out:json];', {
+        endpoints: [standIn.url('/a'), standIn.url('/b'), standIn.url('/c')],
+        maxAttempts: 2,
+        retryDelay: 100,
+        onStatus: ({ message, endpoint, attempt }) => {
+            if (message.startsWith('Querying')) {
+                statuses.push([new URL(endpoint).pathname, attempt]);
+            }
+        }
+    });
+    
+    assert.deepStrictEqual(data, RESPONSE);
+    assert.deepStrictEqual(standIn.requests, ['/a', '/a', '/b', '/b', '/c']);
+    assert.deepStrictEqual(delays, [100, 100]);
+    assert.deepStrictEqual(statuses, [['/a', 1], ['/a', 2], ['/b', 1], ['/b', 2], ['/c', 1]]);
+});
+
+test('fails over at once when Retry-After is longer than RETRY_MAX_DELAY', async (t) => {
+    const standIn = await startStandIn({
+        '/a': [[429, { 'Retry-After': String(OverpassAPI.RETRY_MAX_DELAY / 1000 + 60) }]],
+        '/b': [[200, {}]]
+    });
+    t.after(standIn.close);
+    const delays = recordSleeps(t);
+    
+    await OverpassAPI.fetchQuery('[out:json];', { endpoints: [standIn.url('/a'), standIn.url('/b')] });
+    
+    assert.deepStrictEqual(standIn.requests, ['/a', '/b']);
+    assert.deepStrictEqual(delays, []);
+});
+
+test('does not retry other client errors', async (t) => {
+    const standIn = await startStandIn({ '/a': [[400, {}]], '/b': [[200, {}]] });
+    t.after(standIn.close);
+    
+    await assert.rejects(
+        OverpassAPI.fetchQuery('[out:json];', { endpoints: [standIn.url('/a'), standIn.url('/b')] }),
+        /400/
+    );
+    assert.deepStrictEqual(standIn.requests, ['/a']);
+});
+
+test('reports the last error when every endpoint fails', async (t) => {
+    const standIn = await startStandIn({ '/a': [[503, {}]], '/b': [[504, {}]] });
+    t.after(standIn.close);
+    recordSleeps(t);
+    
+    await assert.rejects(
+        OverpassAPI.fetchQuery('[out:json];', {
+            endpoints: [standIn.url('/a'), standIn.url('/b')],
+            maxAttempts: 2
+        }),
+        /All Overpass endpoints failed.*504/
+    );
+    assert.deepStrictEqual(standIn.requests, ['/a', '/a', '/b', '/b']);
+});
+
+test('cancelling stops the wait before a retry', async (t) => {
+    const standIn = await startStandIn({ '/a': [[503, {}]] });
+    t.after(standIn.close);
+    const controller = new AbortController();
+    const started = Date.now();
+    
+    const query = OverpassAPI.fetchQuery('[out:json];', {
+        endpoints: [standIn.url('/a')],
+        retryDelay: 30000,
+        signal: controller.signal,
+        onStatus: ({ message }) => {
+            if (message.includes('retrying')) {
+                setTimeout(() => controller.abort(), 50);
+            }
+        }
+    });
+    
+    await assert.rejects(query, { name: 'AbortError' });
+    assert.deepStrictEqual(standIn.requests, ['/a']);
+    assert.ok(Date.now() - started < 5000, 'the 30 s retry delay was cut short');
+});
+
+test('buildCorridor() contains everything within the query buffer of the route', (t) => {
+    const bufferMeters = 10;
+    
+    // Without simplification, the corridor's rounded corners and ends are all that cut into it
+    const tolerance = OverpassAPI.CORRIDOR_TOLERANCE;
+    OverpassAPI.CORRIDOR_TOLERANCE = 0.001;
+    t.after(() => {
+        OverpassAPI.CORRIDOR_TOLERANCE = tolerance;
+    });
+    
+    // Sharp bends and open ends are where the outline is cut shortest
+    const route = [[8.5, 47.3], [8.53, 47.3], [8.505, 47.31], [8.535, 47.32], [8.51, 47.335], [8.54, 47.34]]
+        .map(([lon, lat]) => ({ lat, lon }));
+    const corridor = OverpassAPI.buildCorridor(route, bufferMeters);
+    assert.ok(corridor, 'a corridor is built');
+    const polygon = turf.polygon([[...corridor.ring, corridor.ring[0]].map(([lat, lon]) => [lon, lat])]);
+    
+    for (const [i, coord] of route.entries()) {
+        for (let bearing = 0; bearing < 360; bearing += 5) {
+            const point = turf.destination([coord.lon, coord.lat], bufferMeters * 0.999 / 1000, bearing);
+            assert.ok(turf.booleanPointInPolygon(point, polygon), `vertex ${i}, bearing ${bearing}°`);
+        }
+    }
+});
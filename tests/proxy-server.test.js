@@ -0,0 +1,321 @@
+/**
+ * Tests for the caching proxy, against a local stand-in for Overpass
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const OverpassCachingProxy = require('../proxy-server');
+const { OverpassAPI } = require('../lib');
+
+// Ways the stand-in knows, by block: bridges first, then tunnels
+const WAYS = [
+    [
+        { id: 1, geometry: [[47.31, 8.51], [47.312, 8.512]] },
+        // Crosses the tile edges at 47.3 and 8.5, so it is stored in several tiles
+        { id: 2, geometry: [[47.295, 8.495], [47.305, 8.505]] },
+        { id: 3, geometry: [[47.45, 8.65], [47.451, 8.651]] }
+    ],
+    [
+        { id: 4, geometry: [[47.25, 8.58], [47.251, 8.581]] }
+    ]
+].map(block => block.map(way => ({
+    type: 'way',
+    id: way.id,
+    bounds: {},
+    geometry: way.geometry.map(([lat, lon]) => ({ lat, lon })),
+    tags: { highway: 'path' }
+})));
+
+/**
+ * Start a stand-in for Overpass that answers brunnel queries with the WAYS in their bbox
+ * respond(query) may return a [status, body] response of its own instead, and status(count)
+ * the text of /api/status on its count-th request (0-based); without it, /api/status is not
+ * found, like a server without slot reporting. Queries and their times are logged.
+ */
+async function startStandIn(respond = () => null, status = null) {
+    const queries = [];
+    const times = [];
+    const statusTimes = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            if (status && req.url.endsWith('/api/status')) {
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                res.end(status(statusTimes.length));
+                statusTimes.push(Date.now());
+                return;
+            }
+            if (!req.url.endsWith('/api/interpreter')) {
+                res.writeHead(404);
+                res.end();
+                return;
+            }
+            
+            const query = new URLSearchParams(body).get('data');
+            queries.push(query);
+            times.push(Date.now());
+            const response = respond(query);
+            if (response) {
+                res.writeHead(response[0], { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(response[1]));
+                return;
+            }
+            const [south, west, north, east] = query.match(/\[bbox:([^\]]+)\]/)[1].split(',').map(Number);
+            const inside = point => point.lat >= south && point.lat <= north && point.lon >= west && point.lon <= east;
+            
+            const elements = [];
+            for (const block of WAYS) {
+                const ways = block.filter(way => way.geometry.some(inside));
+                elements.push({ type: 'count', id: 0, tags: { ways: String(ways.length) } });
+                elements.push(...ways);
+            }
+            
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ version: 0.6, elements }));
+        });
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        queries,
+        times,
+        statusTimes,
+        url: `http://127.0.0.1:${server.address().port}/api/interpreter`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Create a quiet proxy with an empty cache in a temporary directory
+ */
+function createProxy(t, options = {}) {
+    for (const method of ['log', 'warn', 'error']) {
+        t.mock.method(console, method, () => {});
+    }
+    
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'brunnels-proxy-'));
+    t.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+    return new OverpassCachingProxy({ cacheDir, ...options });
+}
+
+/**
+ * Build the app's brunnel query for a bounding box
+ */
+function brunnelQuery(minLat, minLon, maxLat, maxLon) {
+    return OverpassAPI.buildOverpassQuery({ minLat, minLon, maxLat, maxLon }, { timeout: 25 });
+}
+
+/**
+ * List the way ids of each block of an Overpass response
+ */
+function wayIds(data) {
+    const blocks = [];
+    for (const element of data.elements) {
+        if (element.type === 'count') {
+            blocks.push([]);
+        } else {
+            blocks[blocks.length - 1].push(element.id);
+        }
+    }
+    return blocks.map(ids => ids.sort((a, b) => a - b));
+}
+
+test('the app\'s brunnel queries are cached per tile, other queries whole', (t) => {
+    const proxy = createProxy(t);
+    
+    assert.ok(proxy.parseTileQuery(brunnelQuery(47.28, 8.48, 47.33, 8.53)));
+    assert.strictEqual(proxy.parseTileQuery('[out:json][timeout:25][bbox:47,8,48,9];node[amenity];out count;out geom qt;'), null);
+    assert.strictEqual(proxy.parseTileQuery('[out:json][timeout:25];way[bridge];out geom;'), null);
+});
+
+test('assembles a query from tiles with the same ways as the query itself, each once', async (t) => {
+    const standIn = await startStandIn();
+    t.after(standIn.close);
+    const proxy = createProxy(t, { overpassUrl: standIn.url });
+    
+    const tileQuery = proxy.parseTileQuery(brunnelQuery(47.24, 8.48, 47.33, 8.59));
+    const result = await proxy.getTiledResponse(tileQuery);
+    
+    assert.strictEqual(result.status, 'MISS');
+    assert.deepStrictEqual(wayIds(result.data), [[1, 2], [4]]);
+    assert.deepStrictEqual(
+        result.data.elements.filter(element => element.type === 'count').map(count => count.tags.total),
+        ['2', '1']
+    );
+    
+    // Missing tiles are fetched as rectangles, not one by one
+    const tileCount = proxy.getTilesForBounds(tileQuery.bounds).length;
+    assert.ok(standIn.queries.length < tileCount, `${standIn.queries.length} requests for ${tileCount} tiles`);
+});
+
+test('answers overlapping queries from cached tiles without going upstream', async (t) => {
+    const standIn = await startStandIn();
+    t.after(standIn.close);
+    const proxy = createProxy(t, { overpassUrl: standIn.url });
+    
+    await proxy.getTiledResponse(proxy.parseTileQuery(brunnelQuery(47.24, 8.48, 47.33, 8.59)));
+    const requests = standIn.queries.length;
+    const result = await proxy.getTiledResponse(proxy.parseTileQuery(brunnelQuery(47.29, 8.49, 47.32, 8.52)));
+    
+    assert.strictEqual(result.status, 'HIT');
+    assert.strictEqual(standIn.queries.length, requests);
+    assert.deepStrictEqual(wayIds(result.data), [[1, 2], []]);
+});
+
+test('passes on a response that can\'t be split into tiles without querying again', async (t) => {
+    const remark = { version: 0.6, elements: [], remark: 'runtime error: Query timed out' };
+    const standIn = await startStandIn(() => [200, remark]);
+    t.after(standIn.close);
+    const proxy = createProxy(t, { overpassUrl: standIn.url });
+    
+    const result = await proxy.getTiledResponse(proxy.parseTileQuery(brunnelQuery(47.28, 8.48, 47.33, 8.53)));
+    
+    assert.strictEqual(standIn.queries.length, 1);
+    assert.strictEqual(result.status, 'MISS');
+    assert.deepStrictEqual(result.data, remark);
+    assert.strictEqual(proxy.getCacheFiles().length, 0);
+});
+
+test('marks a response with stale tiles as stale even when other tiles were missing', async (t) => {
+    const standIn = await startStandIn();
+    t.after(standIn.close);
+    const proxy = createProxy(t, { overpassUrl: standIn.url });
+    const server = http.createServer((req, res) => proxy.handleRequest(req, res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    
+    const post = async (query) => {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/api/interpreter`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: `data=${encodeURIComponent(query)}`
+        });
+        await response.json();
+        return response;
+    };
+    
+    // Cache one tile, then age it into the stale-while-revalidate window
+    await post(brunnelQuery(47.31, 8.51, 47.32, 8.52));
+    const fetchedAt = new Date(Date.now() - proxy.maxAge - 60 * 1000);
+    for (const { filePath } of proxy.getCacheFiles()) {
+        fs.utimesSync(filePath, fetchedAt, fetchedAt);
+    }
+    
+    // The next query also covers tiles that aren't cached yet
+    const response = await post(brunnelQuery(47.31, 8.51, 47.32, 8.62));
+    
+    assert.strictEqual(response.headers.get('X-Cache'), 'STALE');
+    assert.strictEqual(response.headers.get('X-Cache-Date'), fetchedAt.toUTCString());
+    
+    // Let the background refresh finish before the stand-in closes
+    while (proxy.revalidating.size > 0) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+});
+
+test('polls the status while running queries hold every slot', async (t) => {
+    const busy = 'Rate limit: 2\n0 slots available now.\nCurrently running queries (pid, space limit, time limit, start time):\n';
+    const free = 'Rate limit: 2\n2 slots available now.\nCurrently running queries (pid, space limit, time limit, start time):\n';
+    const standIn = await startStandIn(() => null, count => (count < 3 ? busy : free));
+    t.after(standIn.close);
+    const proxy = createProxy(t, { overpassUrl: standIn.url, slotPollInterval: 50 });
+    
+    await proxy.fetchUpstream(brunnelQuery(47.3, 8.5, 47.32, 8.52));
+    
+    assert.strictEqual(standIn.statusTimes.length, 4);
+    assert.strictEqual(standIn.queries.length, 1);
+    for (let i = 1; i < standIn.statusTimes.length; i++) {
+        assert.ok(standIn.statusTimes[i] - standIn.statusTimes[i - 1] >= 45, `poll ${i} came too soon`);
+    }
+    assert.ok(standIn.times[0] >= standIn.statusTimes[3]);
+});
+
+test('backs off between rate-limited attempts', async (t) => {
+    let attempts = 0;
+    const standIn = await startStandIn(() => (++attempts < 3 ? [429, { error: 'Too many requests' }] : null));
+    t.after(standIn.close);
+    const proxy = createProxy(t, { overpassUrl: standIn.url, rateLimitBackoff: 100 });
+    
+    const data = await proxy.fetchUpstream(brunnelQuery(47.3, 8.5, 47.32, 8.52));
+    
+    assert.ok(Array.isArray(data.elements));
+    assert.strictEqual(standIn.times.length, 3);
+    assert.ok(standIn.times[1] - standIn.times[0] >= 95, 'first retry waited 100 ms');
+    assert.ok(standIn.times[2] - standIn.times[1] >= 195, 'second retry waited 200 ms');
+});
+
+test('gives up on a rate-limited query after maxRateLimitRetries attempts', async (t) => {
+    const standIn = await startStandIn(() => [429, { error: 'Too many requests' }]);
+    t.after(standIn.close);
+    const proxy = createProxy(t, { overpassUrl: standIn.url, rateLimitBackoff: 10 });
+    
+    await assert.rejects(proxy.fetchUpstream(brunnelQuery(47.3, 8.5, 47.32, 8.52)), /Rate limited/);
+    assert.strictEqual(standIn.queries.length, proxy.maxRateLimitRetries);
+});
+
+test('only the app\'s origins may use the cache API', async (t) => {
+    const proxy = createProxy(t);
+    const server = http.createServer((req, res) => proxy.handleRequest(req, res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    proxy.port = server.address().port;
+    const base = `http://127.0.0.1:${proxy.port}`;
+    
+    // fetch() sets Origin itself, so requests are sent with http.request
+    const request = (method, pathname, headers = {}) => new Promise((resolve, reject) => {
+        const req = http.request(`${base}${pathname}`, { method, headers }, (res) => {
+            res.resume();
+            res.on('end', () => resolve(res));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+    proxy.saveToCache(proxy.getCacheKey('[out:json];'), { elements: [] }, '[out:json];');
+    
+    const preflight = await request('OPTIONS', '/api/cache/entries', {
+        Origin: 'https://example.com',
+        'Access-Control-Request-Method': 'DELETE'
+    });
+    assert.strictEqual(preflight.statusCode, 403);
+    assert.strictEqual(preflight.headers['access-control-allow-origin'], undefined);
+    
+    const purge = await request('DELETE', '/api/cache/entries', { Origin: 'https://example.com' });
+    assert.strictEqual(purge.statusCode, 403);
+    assert.strictEqual(proxy.getCacheFiles().length, 1);
+    
+    const appPreflight = await request('OPTIONS', '/api/cache/entries', {
+        Origin: 'http://localhost:8000',
+        'Access-Control-Request-Method': 'DELETE'
+    });
+    assert.strictEqual(appPreflight.statusCode, 200);
+    assert.strictEqual(appPreflight.headers['access-control-allow-origin'], 'http://localhost:8000');
+    assert.match(appPreflight.headers['access-control-allow-methods'], /DELETE/);
+    
+    const status = await request('GET', '/api/cache', { Origin: base });
+    assert.strictEqual(status.statusCode, 200);
+    
+    // A page on a hostname rebound to 127.0.0.1 sends its own name as both Origin and Host
+    const rebound = await request('DELETE', '/api/cache/entries', {
+        Origin: `http://rebound.example:${proxy.port}`,
+        Host: `rebound.example:${proxy.port}`
+    });
+    assert.strictEqual(rebound.statusCode, 403);
+    assert.strictEqual(proxy.getCacheFiles().length, 1);
+    
+    const curlPurge = await request('DELETE', '/api/cache/entries');
+    assert.strictEqual(curlPurge.statusCode, 200);
+    assert.strictEqual(proxy.getCacheFiles().length, 0);
+    
+    // Overpass queries stay open to any page, but without DELETE
+    const queryPreflight = await request('OPTIONS', '/api/interpreter', { Origin: 'https://example.com' });
+    assert.strictEqual(queryPreflight.headers['access-control-allow-origin'], '*');
+    assert.doesNotMatch(queryPreflight.headers['access-control-allow-methods'], /DELETE/);
+});
@@ -0,0 +1,154 @@
+/**
+ * Regression tests for js/route-index.js: the indexes must give exactly the results of
+ * the Turf.js calls they replace on the whole route and buffer
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const turf = require('@turf/turf');
+
+const { RouteIndex, BufferIndex, GeometryUtils } = require('../lib');
+
+/**
+ * Seeded pseudo-random numbers in [0, 1), so that failures can be reproduced
+ */
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+/**
+ * A winding route that comes back along its way out and crosses itself, like the loops and
+ * out-and-back routes the indexes have to handle
+ */
+function makeRoute(next) {
+    const coords = [{ lat: 47.3, lon: 8.5 }];
+    let bearing = 60;
+    for (let i = 0; i < 250; i++) {
+        bearing += (next() - 0.5) * 70;
+        const last = coords[coords.length - 1];
+        const [lon, lat] = turf.destination([last.lon, last.lat], 0.03 + next() * 0.12, bearing).geometry.coordinates;
+        coords.push({ lat, lon });
+    }
+    
+    // Back over part of the way out, slightly offset
+    for (let i = 200; i >= 100; i -= 2) {
+        coords.push({ lat: coords[i].lat + 0.00003, lon: coords[i].lon - 0.00002 });
+    }
+    return coords;
+}
+
+/**
+ * A point within about maxMeters of a random route vertex
+ */
+function pointNear(next, route, maxMeters) {
+    const base = route[Math.floor(next() * route.length)];
+    const [lon, lat] = turf.destination([base.lon, base.lat], next() * maxMeters / 1000, next() * 360).geometry.coordinates;
+    return { lat, lon };
+}
+
+const next = random(20240601);
+const route = makeRoute(next);
+const routeLine = turf.lineString(route.map(coord => [coord.lon, coord.lat]));
+
+test('RouteIndex.nearestPoint() matches turf.nearestPointOnLine', () => {
+    const routeIndex = new RouteIndex(route);
+    
+    for (let i = 0; i < 300; i++) {
+        const coord = pointNear(next, route, 200);
+        const expected = turf.nearestPointOnLine(routeLine, [coord.lon, coord.lat]);
+        const actual = routeIndex.nearestPoint(coord);
+        
+        assert.deepStrictEqual(
+            {
+                coordinates: actual.coordinates,
+                distance: actual.distance,
+                location: actual.location,
+                index: actual.index
+            },
+            {
+                coordinates: expected.geometry.coordinates,
+                distance: expected.properties.dist,
+                location: expected.properties.location,
+                index: expected.properties.index
+            },
+            `point ${i} (${coord.lat}, ${coord.lon})`
+        );
+    }
+});
+
+test('RouteIndex.nearestPoint() with a range matches turf.nearestPointOnLine on that part of the route', () => {
+    const routeIndex = new RouteIndex(route);
+    
+    for (let i = 0; i < 100; i++) {
+        const startSegment = Math.floor(next() * (route.length - 2));
+        const endSegment = startSegment + Math.floor(next() * Math.min(40, route.length - 2 - startSegment));
+        const part = turf.lineString(route.slice(startSegment, endSegment + 2).map(coord => [coord.lon, coord.lat]));
+        const coord = pointNear(next, route, 200);
+        
+        const expected = turf.nearestPointOnLine(part, [coord.lon, coord.lat]);
+        const actual = routeIndex.nearestPoint(coord, { startSegment, endSegment });
+        
+        assert.deepStrictEqual(actual.coordinates, expected.geometry.coordinates, `point ${i}`);
+        assert.strictEqual(actual.distance, expected.properties.dist, `point ${i}`);
+        assert.strictEqual(actual.index, expected.properties.index + startSegment, `point ${i}`);
+    }
+});
+
+test('BufferIndex.containsPoint() matches turf.booleanPointInPolygon', () => {
+    for (const bufferMeters of [3, 10, 25]) {
+        const routeBuffer = GeometryUtils.createRouteBuffer(route, bufferMeters);
+        const bufferIndex = new BufferIndex(routeBuffer);
+        
+        let inside = 0;
+        for (let i = 0; i < 500; i++) {
+            const coord = pointNear(next, route, bufferMeters * 2);
+            const point = [coord.lon, coord.lat];
+            
+            assert.strictEqual(
+                bufferIndex.containsPoint(point),
+                turf.booleanPointInPolygon(point, routeBuffer),
+                `${bufferMeters} m buffer, point ${i} (${coord.lat}, ${coord.lon})`
+            );
+            inside += bufferIndex.containsPoint(point) ? 1 : 0;
+        }
+        assert.ok(inside > 0 && inside < 500, `${inside} of 500 points inside the ${bufferMeters} m buffer`);
+    }
+});
+
+test('BufferIndex.containsLine() matches containment tested with turf on the whole buffer', () => {
+    // How GeometryUtils.brunnelWithin tested containment before the index
+    const turfWithin = (coords, routeBuffer) => {
+        if (!coords.every(coord => turf.booleanPointInPolygon([coord.lon, coord.lat], routeBuffer))) {
+            return false;
+        }
+        const line = turf.lineString(coords.map(coord => [coord.lon, coord.lat]));
+        return turf.lineIntersect(line, turf.polygonToLine(routeBuffer)).features.length === 0;
+    };
+    
+    const routeBuffer = GeometryUtils.createRouteBuffer(route, 10);
+    const bufferIndex = new BufferIndex(routeBuffer);
+    let inside = 0;
+    
+    for (let i = 0; i < 300; i++) {
+        const start = pointNear(next, route, 15);
+        const coords = [start];
+        const pointCount = 2 + Math.floor(next() * 3);
+        const bearing = next() * 360;
+        while (coords.length < pointCount) {
+            const last = coords[coords.length - 1];
+            const [lon, lat] = turf.destination([last.lon, last.lat], 0.005 + next() * 0.02, bearing + (next() - 0.5) * 30).geometry.coordinates;
+            coords.push({ lat, lon });
+        }
+        
+        const expected = turfWithin(coords, routeBuffer);
+        assert.strictEqual(bufferIndex.containsLine(coords), expected, `line ${i}`);
+        inside += expected ? 1 : 0;
+    }
+    
+    // Both outcomes must be exercised for the comparison to mean anything
+    assert.ok(inside > 0 && inside < 300, `${inside} of 300 lines inside`);
+});